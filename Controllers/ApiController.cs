@@ -3,6 +3,7 @@ using FoundryWebUI.Models;
 using FoundryWebUI.Services;
 using System.Diagnostics;
 using System.Text.Json;
+using System.Text.Json.Serialization;
 
 namespace FoundryWebUI.Controllers;
 
@@ -13,17 +14,31 @@ public class ApiController : ControllerBase
     private readonly IEnumerable<ILlmProvider> _providers;
     private readonly ILogger<ApiController> _logger;
     private readonly SystemPromptStore _promptStore;
+    private readonly PromptTemplateStore _templateStore;
+    private readonly ConversationStore _conversationStore;
+    private readonly ParameterPresetStore _presetStore;
+    private readonly ArenaStore _arenaStore;
+    private readonly DocumentTextExtractor _documentExtractor;
+    private readonly KnowledgeBaseStore _knowledgeStore;
+    private readonly ChatJobStore _chatJobs;
     private readonly IConfiguration _configuration;
     private static readonly JsonSerializerOptions _jsonOptions = new()
     {
         PropertyNamingPolicy = JsonNamingPolicy.CamelCase
     };
 
-    public ApiController(IEnumerable<ILlmProvider> providers, ILogger<ApiController> logger, SystemPromptStore promptStore, IConfiguration configuration)
+    public ApiController(IEnumerable<ILlmProvider> providers, ILogger<ApiController> logger, SystemPromptStore promptStore, PromptTemplateStore templateStore, ConversationStore conversationStore, ParameterPresetStore presetStore, ArenaStore arenaStore, DocumentTextExtractor documentExtractor, KnowledgeBaseStore knowledgeStore, ChatJobStore chatJobs, IConfiguration configuration)
     {
         _providers = providers;
         _logger = logger;
         _promptStore = promptStore;
+        _templateStore = templateStore;
+        _conversationStore = conversationStore;
+        _presetStore = presetStore;
+        _arenaStore = arenaStore;
+        _documentExtractor = documentExtractor;
+        _knowledgeStore = knowledgeStore;
+        _chatJobs = chatJobs;
         _configuration = configuration;
     }
 
@@ -149,6 +164,10 @@ public class ApiController : ControllerBase
         return Ok(allModels);
     }
 
+    /// <summary>
+    /// Starts the generation as a background job (id in the X-Chat-Job-Id header) and streams it. The client going
+    /// away only ends this stream: the job keeps running and GET chat/jobs/{id}/stream picks it up again.
+    /// </summary>
     [HttpPost("chat")]
     public async Task Chat([FromBody] ChatRequest request, [FromQuery] string provider = "foundry")
     {
@@ -163,18 +182,64 @@ public class ApiController : ControllerBase
             return;
         }
 
+        ChatJob job;
         try
         {
-            await foreach (var chunk in p.StreamChatAsync(request, HttpContext.RequestAborted))
+            job = _chatJobs.Start(p, request);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Chat error with provider {Provider}", provider);
+            await WriteSSE("message", JsonSerializer.Serialize(new { content = $"\n\n⚠️ Error: {ex.Message}", done = true }));
+            return;
+        }
+        Response.Headers["X-Chat-Job-Id"] = job.Id;
+        await StreamChatJob(job, 0);
+    }
+
+    /// <summary>Reattaches to a chat job, replaying from the event after Last-Event-ID (from the start without one).</summary>
+    [HttpGet("chat/jobs/{id}/stream")]
+    public async Task ResumeChatJob(string id, [FromHeader(Name = "Last-Event-ID")] string? lastEventId = null)
+    {
+        var job = _chatJobs.Get(id);
+        if (job == null)
+        {
+            Response.StatusCode = StatusCodes.Status404NotFound;
+            await Response.WriteAsJsonAsync(new { error = $"Chat job '{id}' not found or expired" });
+            return;
+        }
+
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers.Connection = "keep-alive";
+        Response.Headers["X-Chat-Job-Id"] = job.Id;
+        await StreamChatJob(job, int.TryParse(lastEventId, out var last) ? last + 1 : 0);
+    }
+
+    /// <summary>Stops a chat job's generation upstream (the Stop button).</summary>
+    [HttpDelete("chat/jobs/{id}")]
+    public IActionResult CancelChatJob(string id)
+    {
+        if (!_chatJobs.Cancel(id))
+            return NotFound(new { error = $"Chat job '{id}' not found or expired" });
+        return Ok(new { message = "Chat job cancelled" });
+    }
+
+    private async Task StreamChatJob(ChatJob job, int from)
+    {
+        try
+        {
+            await Response.StartAsync(HttpContext.RequestAborted); // send the job id header before the first token
+            await foreach (var (index, chunk) in job.ReadAsync(from, HttpContext.RequestAborted))
             {
                 var json = JsonSerializer.Serialize(chunk, _jsonOptions);
-                await WriteSSE("message", json);
+                await WriteSSE("message", json, index);
             }
         }
-        catch (OperationCanceledException) { }
+        catch (OperationCanceledException) { } // client disconnected; the job carries on
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Chat error with provider {Provider}", provider);
+            _logger.LogError(ex, "Chat stream error for job {JobId}", job.Id);
             await WriteSSE("message", JsonSerializer.Serialize(new { content = $"\n\n⚠️ Error: {ex.Message}", done = true }));
         }
     }
@@ -393,9 +458,10 @@ public class ApiController : ControllerBase
         return new { source = "eventlog", entries };
     }
 
-    private async Task WriteSSE(string eventType, string data)
+    private async Task WriteSSE(string eventType, string data, int? id = null)
     {
-        await Response.WriteAsync($"event: {eventType}\ndata: {data}\n\n");
+        var idLine = id.HasValue ? $"id: {id}\n" : "";
+        await Response.WriteAsync($"{idLine}event: {eventType}\ndata: {data}\n\n");
         await Response.Body.FlushAsync();
     }
 
@@ -708,4 +774,426 @@ public class ApiController : ControllerBase
         public string Name { get; set; } = string.Empty;
         public string Content { get; set; } = string.Empty;
     }
+
+    // ============================================================
+    // Prompt Templates API — user messages with {{variable}} placeholders
+    // ============================================================
+
+    [HttpGet("prompt-templates")]
+    public IActionResult GetPromptTemplates()
+    {
+        return Ok(_templateStore.GetAll());
+    }
+
+    [HttpGet("prompt-templates/{id}")]
+    public IActionResult GetPromptTemplate(string id)
+    {
+        var template = _templateStore.GetById(id);
+        if (template == null) return NotFound(new { error = "Template not found" });
+        return Ok(template);
+    }
+
+    [HttpPost("prompt-templates")]
+    public IActionResult CreatePromptTemplate([FromBody] SystemPromptRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request.Name) || string.IsNullOrWhiteSpace(request.Content))
+            return BadRequest(new { error = "Name and content are required" });
+        return Ok(_templateStore.Add(request.Name.Trim(), request.Content.Trim()));
+    }
+
+    [HttpPut("prompt-templates/{id}")]
+    public IActionResult UpdatePromptTemplate(string id, [FromBody] SystemPromptRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request.Name) || string.IsNullOrWhiteSpace(request.Content))
+            return BadRequest(new { error = "Name and content are required" });
+        var template = _templateStore.Update(id, request.Name.Trim(), request.Content.Trim());
+        if (template == null) return NotFound(new { error = "Template not found" });
+        return Ok(template);
+    }
+
+    [HttpDelete("prompt-templates/{id}")]
+    public IActionResult DeletePromptTemplate(string id)
+    {
+        if (!_templateStore.Delete(id))
+            return NotFound(new { error = "Template not found" });
+        return Ok(new { message = "Deleted" });
+    }
+
+    // ============================================================
+    // Parameter Presets API
+    // ============================================================
+
+    [HttpGet("presets")]
+    public IActionResult GetPresets()
+    {
+        return Ok(_presetStore.GetAll());
+    }
+
+    [HttpPost("presets")]
+    public IActionResult CreatePreset([FromBody] ParameterPresetRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request.Name))
+            return BadRequest(new { error = "Name is required" });
+        return Ok(_presetStore.Add(request.ToPreset()));
+    }
+
+    [HttpPut("presets/{id}")]
+    public IActionResult UpdatePreset(string id, [FromBody] ParameterPresetRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request.Name))
+            return BadRequest(new { error = "Name is required" });
+        var preset = _presetStore.Update(id, request.ToPreset());
+        if (preset == null) return NotFound(new { error = "Preset not found" });
+        return Ok(preset);
+    }
+
+    [HttpDelete("presets/{id}")]
+    public IActionResult DeletePreset(string id)
+    {
+        if (!_presetStore.Delete(id))
+            return NotFound(new { error = "Preset not found" });
+        return Ok(new { message = "Deleted" });
+    }
+
+    // Model ids can contain ':' and '/', so they travel in the body rather than the route
+    [HttpPut("presets/model-default")]
+    public IActionResult SetModelDefaultPreset([FromBody] ModelDefaultPresetRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request.ModelId))
+            return BadRequest(new { error = "Model id is required" });
+        if (!_presetStore.SetModelDefault(request.ModelId, string.IsNullOrEmpty(request.PresetId) ? null : request.PresetId))
+            return NotFound(new { error = "Preset not found" });
+        return Ok(new { message = "Default updated" });
+    }
+
+    public class ParameterPresetRequest
+    {
+        public string Name { get; set; } = string.Empty;
+        public double Temperature { get; set; } = 0.7;
+        [JsonPropertyName("top_p")]
+        public double? TopP { get; set; }
+        [JsonPropertyName("presence_penalty")]
+        public double? PresencePenalty { get; set; }
+        [JsonPropertyName("frequency_penalty")]
+        public double? FrequencyPenalty { get; set; }
+        public int? Seed { get; set; }
+        public List<string>? Stop { get; set; }
+
+        public ParameterPreset ToPreset() => new()
+        {
+            Name = Name.Trim(),
+            Temperature = Temperature,
+            TopP = TopP,
+            PresencePenalty = PresencePenalty,
+            FrequencyPenalty = FrequencyPenalty,
+            Seed = Seed,
+            Stop = Stop?.Where(s => !string.IsNullOrEmpty(s)).Take(4).ToList()
+        };
+    }
+
+    public class ModelDefaultPresetRequest
+    {
+        public string ModelId { get; set; } = string.Empty;
+        public string? PresetId { get; set; }
+    }
+
+    // ============================================================
+    // Arena API — blind A/B votes and Elo leaderboard
+    // ============================================================
+
+    private static readonly string[] ArenaOutcomes = { "a", "b", "tie" };
+
+    [HttpPost("arena/votes")]
+    public IActionResult AddArenaVote([FromBody] ArenaVoteRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request.ModelA) || string.IsNullOrWhiteSpace(request.ModelB))
+            return BadRequest(new { error = "Both models are required" });
+        if (string.Equals(request.ModelA, request.ModelB, StringComparison.OrdinalIgnoreCase))
+            return BadRequest(new { error = "A model cannot be compared with itself" });
+        var winner = request.Winner?.Trim().ToLowerInvariant();
+        if (winner == null || !ArenaOutcomes.Contains(winner))
+            return BadRequest(new { error = "Winner must be 'a', 'b' or 'tie'" });
+
+        var vote = _arenaStore.Add(new ArenaVote { ModelA = request.ModelA.Trim(), ModelB = request.ModelB.Trim(), Winner = winner });
+        return Ok(vote);
+    }
+
+    [HttpGet("arena/leaderboard")]
+    public IActionResult GetArenaLeaderboard()
+    {
+        return Ok(new
+        {
+            totalVotes = _arenaStore.Count,
+            initialRating = ArenaStore.InitialRating,
+            ratings = _arenaStore.GetLeaderboard()
+        });
+    }
+
+    [HttpDelete("arena/votes")]
+    public IActionResult ClearArenaVotes()
+    {
+        _arenaStore.Clear();
+        return Ok(new { message = "Votes cleared" });
+    }
+
+    public class ArenaVoteRequest
+    {
+        public string ModelA { get; set; } = string.Empty;
+        public string ModelB { get; set; } = string.Empty;
+        public string? Winner { get; set; }
+    }
+
+    // ============================================================
+    // Document text extraction — PDF / DOCX attachments, read in-process
+    // ============================================================
+
+    [HttpPost("extract")]
+    [RequestSizeLimit(DocumentTextExtractor.MaxUploadBytes)]
+    [RequestFormLimits(MultipartBodyLengthLimit = DocumentTextExtractor.MaxUploadBytes)]
+    public async Task<IActionResult> ExtractDocumentText(IFormFile? file)
+    {
+        if (file == null || file.Length == 0)
+            return BadRequest(new { error = "A file is required" });
+
+        try
+        {
+            await using var stream = file.OpenReadStream();
+            var document = await _documentExtractor.ExtractAsync(stream, Path.GetFileName(file.FileName), HttpContext.RequestAborted);
+            return Ok(document);
+        }
+        catch (DocumentExtractionException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Text extraction failed for {File}", file.FileName);
+            return StatusCode(500, new { error = $"Text extraction failed: {ex.Message}" });
+        }
+    }
+
+    // ============================================================
+    // Knowledge Base API — document collections for retrieval-augmented chat
+    // ============================================================
+
+    private const int EmbeddingBatchSize = 16;
+    private const int MaxSearchResults = 20;
+
+    private static object CollectionSummary(KnowledgeCollection c) => new
+    {
+        c.Id,
+        c.Name,
+        c.EmbeddingModel,
+        documentCount = c.Documents.Count,
+        chunkCount = c.Chunks.Count,
+        c.CreatedAt,
+        c.UpdatedAt
+    };
+
+    [HttpGet("knowledge")]
+    public IActionResult GetKnowledgeCollections()
+    {
+        return Ok(_knowledgeStore.GetAll().Select(CollectionSummary));
+    }
+
+    [HttpGet("knowledge/{id}")]
+    public IActionResult GetKnowledgeCollection(string id)
+    {
+        var collection = _knowledgeStore.GetById(id);
+        if (collection == null) return NotFound(new { error = "Collection not found" });
+        return Ok(new { collection = CollectionSummary(collection), documents = _knowledgeStore.GetDocuments(id) });
+    }
+
+    [HttpPost("knowledge")]
+    public IActionResult CreateKnowledgeCollection([FromBody] KnowledgeCollectionRequest request)
+    {
+        var name = request.Name?.Trim();
+        if (string.IsNullOrEmpty(name))
+            return BadRequest(new { error = "Name is required" });
+        if (_knowledgeStore.GetAll().Any(c => c.Name.Equals(name, StringComparison.OrdinalIgnoreCase)))
+            return BadRequest(new { error = $"A collection named '{name}' already exists" });
+        var embeddingModel = string.IsNullOrWhiteSpace(request.EmbeddingModel) ? null : request.EmbeddingModel.Trim();
+        return Ok(CollectionSummary(_knowledgeStore.Create(name, embeddingModel)));
+    }
+
+    [HttpDelete("knowledge/{id}")]
+    public IActionResult DeleteKnowledgeCollection(string id)
+    {
+        return _knowledgeStore.Delete(id) ? Ok(new { message = "Deleted" }) : NotFound(new { error = "Collection not found" });
+    }
+
+    /// <summary>Adds one file (text, code, PDF or DOCX) to a collection; the browser uploads folders file by file.</summary>
+    [HttpPost("knowledge/{id}/documents")]
+    [RequestSizeLimit(DocumentTextExtractor.MaxUploadBytes)]
+    [RequestFormLimits(MultipartBodyLengthLimit = DocumentTextExtractor.MaxUploadBytes)]
+    public async Task<IActionResult> AddKnowledgeDocument(string id, IFormFile? file)
+    {
+        var collection = _knowledgeStore.GetById(id);
+        if (collection == null) return NotFound(new { error = "Collection not found" });
+        if (file == null || file.Length == 0) return BadRequest(new { error = "A file is required" });
+
+        var fileName = file.FileName.Replace('\\', '/').Trim('/');
+        ExtractedDocument extracted;
+        try
+        {
+            await using var stream = file.OpenReadStream();
+            extracted = await _documentExtractor.ReadAnyAsync(stream, fileName, HttpContext.RequestAborted);
+        }
+        catch (DocumentExtractionException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Text extraction failed for {File}", fileName);
+            return StatusCode(500, new { error = $"Text extraction failed: {ex.Message}" });
+        }
+
+        var chunks = KnowledgeBaseStore.ChunkText(extracted.Text);
+        string? warning = null;
+        if (collection.EmbeddingModel != null && GetProvider("foundry") is { } provider)
+        {
+            for (var i = 0; i < chunks.Count; i += EmbeddingBatchSize)
+            {
+                var batch = chunks.Skip(i).Take(EmbeddingBatchSize).ToList();
+                var vectors = await provider.GetEmbeddingsAsync(collection.EmbeddingModel, batch.Select(c => c.Text).ToList(), HttpContext.RequestAborted);
+                if (vectors == null)
+                {
+                    chunks.ForEach(c => c.Embedding = null);
+                    warning = $"'{collection.EmbeddingModel}' did not return embeddings; the document is indexed for keyword search only";
+                    break;
+                }
+                for (var j = 0; j < batch.Count; j++) batch[j].Embedding = vectors[j];
+            }
+        }
+
+        var document = _knowledgeStore.AddDocument(id, fileName, extracted.Format, extracted.Text.Length, chunks);
+        if (document == null) return NotFound(new { error = "Collection not found" });
+        _logger.LogInformation("Indexed {File} into knowledge base {Collection}: {Chunks} chunks", fileName, collection.Name, chunks.Count);
+        return Ok(new { document, warning });
+    }
+
+    [HttpDelete("knowledge/{id}/documents/{documentId}")]
+    public IActionResult DeleteKnowledgeDocument(string id, string documentId)
+    {
+        return _knowledgeStore.RemoveDocument(id, documentId) ? Ok(new { message = "Deleted" }) : NotFound(new { error = "Document not found" });
+    }
+
+    [HttpPost("knowledge/{id}/search")]
+    public async Task<IActionResult> SearchKnowledge(string id, [FromBody] KnowledgeSearchRequest request)
+    {
+        var collection = _knowledgeStore.GetById(id);
+        if (collection == null) return NotFound(new { error = "Collection not found" });
+        if (string.IsNullOrWhiteSpace(request.Query)) return BadRequest(new { error = "Query is required" });
+
+        float[]? queryEmbedding = null;
+        if (collection.EmbeddingModel != null && _knowledgeStore.GetDocuments(id).Any(d => d.Embedded) && GetProvider("foundry") is { } provider)
+        {
+            var vectors = await provider.GetEmbeddingsAsync(collection.EmbeddingModel, new[] { request.Query }, HttpContext.RequestAborted);
+            queryEmbedding = vectors?.FirstOrDefault();
+        }
+
+        var topK = Math.Clamp(request.TopK ?? 4, 1, MaxSearchResults);
+        return Ok(new
+        {
+            collectionId = collection.Id,
+            collectionName = collection.Name,
+            semantic = queryEmbedding != null,
+            results = _knowledgeStore.Search(id, request.Query, topK, queryEmbedding)
+        });
+    }
+
+    public class KnowledgeCollectionRequest
+    {
+        public string? Name { get; set; }
+        public string? EmbeddingModel { get; set; }
+    }
+
+    public class KnowledgeSearchRequest
+    {
+        public string Query { get; set; } = string.Empty;
+        public int? TopK { get; set; }
+    }
+
+    // ============================================================
+    // Conversations API
+    // ============================================================
+
+    [HttpGet("conversations")]
+    public IActionResult GetConversations()
+    {
+        // List view only needs the summary; messages are fetched per conversation
+        return Ok(_conversationStore.GetAll().Select(c => new
+        {
+            c.Id,
+            c.Title,
+            c.Model,
+            messageCount = c.Messages.Count,
+            c.CreatedAt,
+            c.UpdatedAt
+        }));
+    }
+
+    [HttpGet("conversations/{id}")]
+    public IActionResult GetConversation(string id)
+    {
+        var conversation = _conversationStore.GetById(id);
+        if (conversation == null) return NotFound(new { error = "Conversation not found" });
+        return Ok(conversation);
+    }
+
+    [HttpPost("conversations")]
+    public IActionResult CreateConversation([FromBody] ConversationRequest request)
+    {
+        var conversation = _conversationStore.Add(request.ToConversation(new Conversation()));
+        return Ok(conversation);
+    }
+
+    [HttpPut("conversations/{id}")]
+    public IActionResult UpdateConversation(string id, [FromBody] ConversationRequest request)
+    {
+        // Upsert: the browser assigns ids to chats before they are first synced
+        if (!ConversationStore.IsValidId(id))
+            return BadRequest(new { error = "Conversation ids may only contain letters, digits, '-' and '_' (up to 64 characters)" });
+        var existing = _conversationStore.GetById(id);
+        var conversation = request.ToConversation(new Conversation { CreatedAt = existing?.CreatedAt ?? DateTime.UtcNow });
+        return Ok(_conversationStore.Upsert(id, conversation));
+    }
+
+    [HttpDelete("conversations/{id}")]
+    public IActionResult DeleteConversation(string id)
+    {
+        if (!_conversationStore.Delete(id))
+            return NotFound(new { error = "Conversation not found" });
+        return Ok(new { message = "Deleted" });
+    }
+
+    public class ConversationRequest
+    {
+        public string? Title { get; set; }
+        public string? Model { get; set; }
+        public string? SystemPromptId { get; set; }
+        public string? SystemPrompt { get; set; }
+        public int? MaxTokens { get; set; }
+        public string? ContextStrategy { get; set; }
+        public List<ConversationMessage> Messages { get; set; } = new();
+        public JsonElement? Tree { get; set; }
+        public DateTime? CreatedAt { get; set; }
+        public DateTime? UpdatedAt { get; set; }
+
+        public Conversation ToConversation(Conversation target)
+        {
+            target.Title = string.IsNullOrWhiteSpace(Title) ? "New Chat" : Title.Trim();
+            target.Model = Model;
+            target.SystemPromptId = SystemPromptId;
+            target.SystemPrompt = SystemPrompt;
+            target.MaxTokens = MaxTokens;
+            target.ContextStrategy = ContextStrategy;
+            target.Messages = Messages;
+            target.Tree = Tree;
+            if (CreatedAt.HasValue) target.CreatedAt = CreatedAt.Value.ToUniversalTime();
+            target.UpdatedAt = UpdatedAt?.ToUniversalTime() ?? DateTime.UtcNow;
+            return target;
+        }
+    }
 }
@@ -16,13 +16,37 @@ public class ChatRequest
     public double Temperature { get; set; } = 0.7;
     [JsonPropertyName("max_tokens")]
     public int? MaxTokens { get; set; }
+    [JsonPropertyName("top_p")]
+    public double? TopP { get; set; }
+    [JsonPropertyName("presence_penalty")]
+    public double? PresencePenalty { get; set; }
+    [JsonPropertyName("frequency_penalty")]
+    public double? FrequencyPenalty { get; set; }
+    public int? Seed { get; set; }
+    public List<string>? Stop { get; set; }
 }
 
 public class ChatResponse
 {
     public string Content { get; set; } = string.Empty;
+    /// <summary>Reasoning text that the server streams separately from the answer (<c>delta.reasoning_content</c>).</summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Reasoning { get; set; }
     public bool Done { get; set; }
     public string? Error { get; set; }
+    /// <summary>Why the model stopped ("stop", "length" when max_tokens cut it off, ...), on the chunk that ends the reply.</summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? FinishReason { get; set; }
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public ChatUsage? Usage { get; set; }
+}
+
+/// <summary>Token counts reported by the model server at the end of a stream.</summary>
+public class ChatUsage
+{
+    public int PromptTokens { get; set; }
+    public int CompletionTokens { get; set; }
+    public int TotalTokens { get; set; }
 }
 
 public class ModelInfo
@@ -37,6 +61,7 @@ public class ModelInfo
     public string? Family { get; set; }
     public double? EstimatedRamMb { get; set; }
     public int? MaxOutputTokens { get; set; }
+    public int? ContextLength { get; set; }
 }
 
 public class DownloadRequest
@@ -0,0 +1,8 @@
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace FoundryWebUI.Pages;
+
+public class ArenaModel : PageModel
+{
+    public void OnGet() { }
+}
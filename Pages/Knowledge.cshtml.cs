@@ -0,0 +1,8 @@
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace FoundryWebUI.Pages;
+
+public class KnowledgeModel : PageModel
+{
+    public void OnGet() { }
+}
@@ -18,6 +18,27 @@ builder.Services.AddSingleton<ILlmProvider>(sp =>
 // Register system prompt store
 builder.Services.AddSingleton<SystemPromptStore>();
 
+// Register conversation store
+builder.Services.AddSingleton<ConversationStore>();
+
+// Register prompt template store
+builder.Services.AddSingleton<PromptTemplateStore>();
+
+// Register parameter preset store
+builder.Services.AddSingleton<ParameterPresetStore>();
+
+// Register arena vote store
+builder.Services.AddSingleton<ArenaStore>();
+
+// Register PDF / DOCX text extraction for attachments
+builder.Services.AddSingleton<DocumentTextExtractor>();
+
+// Register knowledge base store
+builder.Services.AddSingleton<KnowledgeBaseStore>();
+
+// Register chat job store (generations that outlive the request, for resumable streams)
+builder.Services.AddSingleton<ChatJobStore>();
+
 var app = builder.Build();
 
 // Configure the HTTP request pipeline.
@@ -0,0 +1,143 @@
+using System.Text.Json;
+
+namespace FoundryWebUI.Services;
+
+public class ArenaVote
+{
+    public string Id { get; set; } = Guid.NewGuid().ToString("N")[..12];
+    public string ModelA { get; set; } = string.Empty;
+    public string ModelB { get; set; } = string.Empty;
+
+    /// <summary>"a", "b" or "tie".</summary>
+    public string Winner { get; set; } = "tie";
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+}
+
+public class ArenaRating
+{
+    public string Model { get; set; } = string.Empty;
+    public double Rating { get; set; }
+    public int Games { get; set; }
+    public int Wins { get; set; }
+    public int Losses { get; set; }
+    public int Ties { get; set; }
+}
+
+public class ArenaStore
+{
+    public const double InitialRating = 1000;
+    private const double KFactor = 32;
+
+    private readonly string _filePath;
+    private readonly ILogger<ArenaStore> _logger;
+    private List<ArenaVote> _votes = new();
+    private readonly object _lock = new();
+    private static readonly JsonSerializerOptions _jsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+    };
+
+    public ArenaStore(IWebHostEnvironment env, ILogger<ArenaStore> logger)
+    {
+        _logger = logger;
+        _filePath = Path.Combine(env.ContentRootPath, "arena-votes.json");
+        Load();
+    }
+
+    private void Load()
+    {
+        lock (_lock)
+        {
+            if (!File.Exists(_filePath)) return;
+            try
+            {
+                var json = File.ReadAllText(_filePath);
+                _votes = JsonSerializer.Deserialize<List<ArenaVote>>(json, _jsonOptions) ?? new();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to load arena votes from {Path}", _filePath);
+                _votes = new();
+            }
+        }
+    }
+
+    private void Save()
+    {
+        try
+        {
+            var json = JsonSerializer.Serialize(_votes, _jsonOptions);
+            File.WriteAllText(_filePath, json);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save arena votes to {Path}", _filePath);
+        }
+    }
+
+    public int Count
+    {
+        get { lock (_lock) { return _votes.Count; } }
+    }
+
+    public ArenaVote Add(ArenaVote vote)
+    {
+        lock (_lock)
+        {
+            _votes.Add(vote);
+            Save();
+            return vote;
+        }
+    }
+
+    public void Clear()
+    {
+        lock (_lock)
+        {
+            _votes.Clear();
+            Save();
+        }
+    }
+
+    /// <summary>Elo ratings from replaying every vote in the order it was cast, highest rating first.</summary>
+    public List<ArenaRating> GetLeaderboard()
+    {
+        lock (_lock)
+        {
+            var ratings = new Dictionary<string, ArenaRating>(StringComparer.OrdinalIgnoreCase);
+            ArenaRating Get(string model)
+            {
+                if (!ratings.TryGetValue(model, out var r))
+                {
+                    r = new ArenaRating { Model = model, Rating = InitialRating };
+                    ratings[model] = r;
+                }
+                return r;
+            }
+
+            foreach (var vote in _votes.OrderBy(v => v.CreatedAt))
+            {
+                var a = Get(vote.ModelA);
+                var b = Get(vote.ModelB);
+                var expectedA = 1 / (1 + Math.Pow(10, (b.Rating - a.Rating) / 400));
+                var scoreA = vote.Winner switch { "a" => 1.0, "b" => 0.0, _ => 0.5 };
+
+                a.Rating += KFactor * (scoreA - expectedA);
+                b.Rating += KFactor * ((1 - scoreA) - (1 - expectedA));
+                a.Games++;
+                b.Games++;
+                switch (vote.Winner)
+                {
+                    case "a": a.Wins++; b.Losses++; break;
+                    case "b": b.Wins++; a.Losses++; break;
+                    default: a.Ties++; b.Ties++; break;
+                }
+            }
+
+            foreach (var r in ratings.Values) r.Rating = Math.Round(r.Rating, 1);
+            return ratings.Values.OrderByDescending(r => r.Rating).ThenByDescending(r => r.Games).ToList();
+        }
+    }
+}
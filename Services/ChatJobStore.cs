@@ -0,0 +1,159 @@
+using System.Collections.Concurrent;
+using System.Runtime.CompilerServices;
+using FoundryWebUI.Models;
+
+namespace FoundryWebUI.Services;
+
+/// <summary>
+/// A chat generation running in the background. Every chunk the provider streams is kept, so readers can
+/// attach at any point (numbered from 0, which the SSE stream sends as the event id) and replay from there.
+/// </summary>
+public class ChatJob
+{
+    public string Id { get; } = Guid.NewGuid().ToString("N");
+    public string Model { get; init; } = string.Empty;
+    public DateTime StartedAt { get; } = DateTime.UtcNow;
+    public DateTime? FinishedAt { get; private set; }
+
+    internal CancellationTokenSource Cancellation { get; } = new();
+
+    private readonly List<ChatResponse> _chunks = new();
+    private readonly object _lock = new();
+    private TaskCompletionSource _changed = new(TaskCreationOptions.RunContinuationsAsynchronously);
+
+    internal void Append(ChatResponse chunk)
+    {
+        lock (_lock)
+        {
+            _chunks.Add(chunk);
+            Signal();
+        }
+    }
+
+    internal void Finish()
+    {
+        lock (_lock)
+        {
+            FinishedAt = DateTime.UtcNow;
+            Signal();
+        }
+    }
+
+    private void Signal()
+    {
+        var changed = _changed;
+        _changed = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        changed.TrySetResult();
+    }
+
+    /// <summary>Chunks from index <paramref name="from"/> on, waiting for new ones until the job finishes.</summary>
+    public async IAsyncEnumerable<(int Index, ChatResponse Chunk)> ReadAsync(int from, [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        var next = Math.Max(0, from);
+        while (true)
+        {
+            ChatResponse[] batch;
+            bool finished;
+            Task changed;
+            lock (_lock)
+            {
+                batch = _chunks.Skip(next).ToArray();
+                finished = FinishedAt != null;
+                changed = _changed.Task;
+            }
+
+            foreach (var chunk in batch)
+                yield return (next++, chunk);
+            if (finished) yield break;
+            if (batch.Length == 0) await changed.WaitAsync(cancellationToken);
+        }
+    }
+}
+
+/// <summary>
+/// Runs chat generations independently of the HTTP request that started them, so a dropped connection or a
+/// page reload can reattach to the stream instead of losing the reply. Finished jobs are kept for a while;
+/// jobs still running after <see cref="MaxRunTime"/> are treated as hung and cancelled.
+/// </summary>
+public class ChatJobStore
+{
+    private static readonly TimeSpan Retention = TimeSpan.FromMinutes(10);
+    private static readonly TimeSpan MaxRunTime = TimeSpan.FromHours(1);
+    private static readonly TimeSpan PruneInterval = TimeSpan.FromMinutes(1);
+
+    private readonly ConcurrentDictionary<string, ChatJob> _jobs = new();
+    private readonly ILogger<ChatJobStore> _logger;
+    private readonly Timer _pruneTimer;
+
+    public ChatJobStore(ILogger<ChatJobStore> logger)
+    {
+        _logger = logger;
+        // Buffers are freed even while nobody starts or reads a chat
+        _pruneTimer = new Timer(_ => Prune(), null, PruneInterval, PruneInterval);
+    }
+
+    public ChatJob Start(ILlmProvider provider, ChatRequest request)
+    {
+        Prune();
+        var job = new ChatJob { Model = request.Model };
+        _jobs[job.Id] = job;
+        _logger.LogInformation("Chat job {JobId} started for model {Model}", job.Id, job.Model);
+        _ = Task.Run(() => RunAsync(job, provider, request));
+        return job;
+    }
+
+    private async Task RunAsync(ChatJob job, ILlmProvider provider, ChatRequest request)
+    {
+        try
+        {
+            await foreach (var chunk in provider.StreamChatAsync(request, job.Cancellation.Token))
+                job.Append(chunk);
+        }
+        catch (OperationCanceledException)
+        {
+            _logger.LogInformation("Chat job {JobId} cancelled", job.Id);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Chat job {JobId} failed with provider {Provider}", job.Id, provider.ProviderName);
+            job.Append(new ChatResponse { Content = $"\n\n⚠️ Error: {ex.Message}", Done = true });
+        }
+        finally
+        {
+            job.Finish();
+        }
+    }
+
+    public ChatJob? Get(string id)
+    {
+        Prune();
+        return _jobs.TryGetValue(id, out var job) ? job : null;
+    }
+
+    /// <summary>Stops the generation upstream. Returns false for an unknown (or expired) job.</summary>
+    public bool Cancel(string id)
+    {
+        Prune();
+        if (!_jobs.TryGetValue(id, out var job)) return false;
+        if (job.FinishedAt == null) job.Cancellation.Cancel();
+        return true;
+    }
+
+    private void Prune()
+    {
+        var now = DateTime.UtcNow;
+        foreach (var job in _jobs.Values)
+        {
+            if (job.FinishedAt < now - Retention)
+            {
+                if (_jobs.TryRemove(job.Id, out _)) job.Cancellation.Dispose();
+            }
+            else if (job.FinishedAt == null && job.StartedAt < now - MaxRunTime && _jobs.TryRemove(job.Id, out _))
+            {
+                // Hung upstream: stop it and drop its buffer (RunAsync still finishes the job for attached readers)
+                _logger.LogWarning("Chat job {JobId} still running after {Minutes} minutes, cancelling it", job.Id, MaxRunTime.TotalMinutes);
+                job.Cancellation.Cancel();
+            }
+        }
+    }
+}
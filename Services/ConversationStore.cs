@@ -0,0 +1,141 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
+
+namespace FoundryWebUI.Services;
+
+public class Conversation
+{
+    public string Id { get; set; } = Guid.NewGuid().ToString("N")[..12];
+    public string Title { get; set; } = "New Chat";
+    public string? Model { get; set; }
+    public string? SystemPromptId { get; set; }
+    public string? SystemPrompt { get; set; }
+    public int? MaxTokens { get; set; }
+
+    /// <summary>What to do when the history outgrows the context window: "fail", "drop" or "summarize".</summary>
+    public string? ContextStrategy { get; set; }
+
+    public List<ConversationMessage> Messages { get; set; } = new();
+
+    /// <summary>Full message tree including alternative versions from edits and regenerations; Messages is its selected branch.</summary>
+    public JsonElement? Tree { get; set; }
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+}
+
+public class ConversationMessage
+{
+    public string Role { get; set; } = "user";
+    public string Content { get; set; } = string.Empty;
+
+    /// <summary>Client-side message metadata (warnings, flags) stored as-is.</summary>
+    [JsonExtensionData]
+    public Dictionary<string, JsonElement>? Extra { get; set; }
+}
+
+public class ConversationStore
+{
+    private readonly string _filePath;
+    private readonly ILogger<ConversationStore> _logger;
+    private List<Conversation> _conversations = new();
+    private readonly object _lock = new();
+    private static readonly JsonSerializerOptions _jsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+    };
+
+    public ConversationStore(IWebHostEnvironment env, ILogger<ConversationStore> logger)
+    {
+        _logger = logger;
+        _filePath = Path.Combine(env.ContentRootPath, "conversations.json");
+        Load();
+    }
+
+    private void Load()
+    {
+        lock (_lock)
+        {
+            if (!File.Exists(_filePath)) return;
+            try
+            {
+                var json = File.ReadAllText(_filePath);
+                _conversations = JsonSerializer.Deserialize<List<Conversation>>(json, _jsonOptions) ?? new();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to load conversations from {Path}", _filePath);
+                _conversations = new();
+            }
+        }
+    }
+
+    private void Save()
+    {
+        try
+        {
+            var json = JsonSerializer.Serialize(_conversations, _jsonOptions);
+            File.WriteAllText(_filePath, json);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save conversations to {Path}", _filePath);
+        }
+    }
+
+    /// <summary>All conversations, most recently updated first.</summary>
+    public List<Conversation> GetAll()
+    {
+        lock (_lock) { return _conversations.OrderByDescending(c => c.UpdatedAt).ToList(); }
+    }
+
+    public Conversation? GetById(string id)
+    {
+        lock (_lock) { return _conversations.FirstOrDefault(c => c.Id == id); }
+    }
+
+    public Conversation Add(Conversation conversation)
+    {
+        lock (_lock)
+        {
+            _conversations.Add(conversation);
+            Save();
+            return conversation;
+        }
+    }
+
+    private static readonly Regex IdPattern = new(@"^[A-Za-z0-9_-]{1,64}$");
+
+    /// <summary>Ids chosen by the client must be safe to put in URLs and markup.</summary>
+    public static bool IsValidId(string id) => IdPattern.IsMatch(id);
+
+    /// <summary>Replaces the conversation with the given id, creating it if it does not exist yet.</summary>
+    public Conversation Upsert(string id, Conversation conversation)
+    {
+        lock (_lock)
+        {
+            conversation.Id = id;
+            var index = _conversations.FindIndex(c => c.Id == id);
+            if (index >= 0)
+                _conversations[index] = conversation;
+            else
+                _conversations.Add(conversation);
+            Save();
+            return conversation;
+        }
+    }
+
+    public bool Delete(string id)
+    {
+        lock (_lock)
+        {
+            var conversation = _conversations.FirstOrDefault(c => c.Id == id);
+            if (conversation == null) return false;
+            _conversations.Remove(conversation);
+            Save();
+            return true;
+        }
+    }
+}
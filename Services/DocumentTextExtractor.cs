@@ -0,0 +1,267 @@
+using System.IO.Compression;
+using System.Text;
+using System.Text.RegularExpressions;
+using System.Xml;
+using System.Xml.Linq;
+
+namespace FoundryWebUI.Services;
+
+/// <summary>Thrown when a document cannot be read; the message is safe to show to the user.</summary>
+public class DocumentExtractionException : Exception
+{
+    public DocumentExtractionException(string message) : base(message) { }
+}
+
+public class ExtractedDocument
+{
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>"pdf", "docx", or the file extension of a plain-text file.</summary>
+    public string Format { get; set; } = string.Empty;
+
+    /// <summary>Page count for PDFs; for DOCX the number of page breaks Word recorded plus one, or null when it recorded none.</summary>
+    public int? Pages { get; set; }
+
+    public string Text { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Turns PDF and Word (.docx) uploads into plain text for chat attachments, entirely in-process.
+/// Pages are marked with "--- Page N ---" lines and Word headings become Markdown headings, so the model can cite them.
+/// </summary>
+public class DocumentTextExtractor
+{
+    public const long MaxUploadBytes = 30 * 1024 * 1024;
+
+    /// <summary>Largest word/document.xml read out of a .docx (guards against zip bombs).</summary>
+    private const long MaxDocxXmlBytes = 100 * 1024 * 1024;
+    public static readonly string[] SupportedExtensions = { ".pdf", ".docx" };
+
+    /// <summary>Plain-text formats read as UTF-8 as they are (same list as chat-attachments.js).</summary>
+    public static readonly HashSet<string> TextExtensions = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ".txt", ".text", ".md", ".markdown", ".rst", ".tex", ".log", ".out", ".csv", ".tsv",
+        ".json", ".jsonl", ".ndjson", ".xml", ".yaml", ".yml", ".toml", ".ini", ".cfg", ".conf", ".env", ".properties",
+        ".html", ".htm", ".css", ".scss", ".less", ".svg",
+        ".js", ".mjs", ".cjs", ".jsx", ".ts", ".tsx", ".vue", ".svelte",
+        ".py", ".rb", ".go", ".rs", ".java", ".kt", ".kts", ".scala", ".swift", ".dart", ".php", ".pl", ".lua", ".r",
+        ".c", ".h", ".cc", ".cpp", ".cxx", ".hpp", ".cs", ".csx", ".fs", ".fsx", ".vb", ".razor", ".cshtml", ".csproj", ".sln", ".props",
+        ".sql", ".graphql", ".proto", ".sh", ".bash", ".zsh", ".ps1", ".psm1", ".bat", ".cmd", ".diff", ".patch"
+    };
+
+    private static readonly XNamespace W = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+    private readonly ILogger<DocumentTextExtractor> _logger;
+
+    public DocumentTextExtractor(ILogger<DocumentTextExtractor> logger)
+    {
+        _logger = logger;
+    }
+
+    public async Task<ExtractedDocument> ExtractAsync(Stream stream, string fileName, CancellationToken ct = default)
+    {
+        var extension = Path.GetExtension(fileName).ToLowerInvariant();
+        if (!SupportedExtensions.Contains(extension))
+            throw new DocumentExtractionException($"Unsupported file type '{extension}'. Supported: {string.Join(", ", SupportedExtensions)}");
+
+        using var buffer = new MemoryStream();
+        await stream.CopyToAsync(buffer, ct);
+        var data = buffer.ToArray();
+
+        var result = extension == ".pdf" ? ExtractPdf(data) : ExtractDocx(data);
+        result.FileName = fileName;
+        if (string.IsNullOrWhiteSpace(Regex.Replace(result.Text, @"^--- Page \d+ ---$", "", RegexOptions.Multiline)))
+        {
+            throw new DocumentExtractionException(extension == ".pdf"
+                ? "No text found in the PDF. Scanned pages are images, and OCR is not supported."
+                : "No text found in the document.");
+        }
+        _logger.LogInformation("Extracted {Chars} characters from {File} ({Pages} pages)", result.Text.Length, fileName, result.Pages?.ToString() ?? "?");
+        return result;
+    }
+
+    /// <summary>Text of any supported file: PDF / DOCX through <see cref="ExtractAsync"/>, text formats decoded as UTF-8.</summary>
+    public async Task<ExtractedDocument> ReadAnyAsync(Stream stream, string fileName, CancellationToken ct = default)
+    {
+        var extension = Path.GetExtension(fileName).ToLowerInvariant();
+        if (SupportedExtensions.Contains(extension)) return await ExtractAsync(stream, fileName, ct);
+        if (!TextExtensions.Contains(extension))
+            throw new DocumentExtractionException($"Unsupported file type '{extension}'");
+
+        using var reader = new StreamReader(stream, Encoding.UTF8);
+        var text = (await reader.ReadToEndAsync(ct)).Replace("\r\n", "\n");
+        if (text.Contains('\0')) throw new DocumentExtractionException("Looks like a binary file");
+        if (string.IsNullOrWhiteSpace(text)) throw new DocumentExtractionException("The file is empty");
+        return new ExtractedDocument { FileName = fileName, Format = extension.TrimStart('.'), Text = text };
+    }
+
+    private ExtractedDocument ExtractPdf(byte[] data)
+    {
+        List<string> pages;
+        try
+        {
+            pages = new PdfTextReader(data).ReadPages();
+        }
+        catch (DocumentExtractionException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to parse PDF");
+            throw new DocumentExtractionException($"Could not read the PDF: {ex.Message}");
+        }
+
+        var text = new StringBuilder();
+        for (var i = 0; i < pages.Count; i++)
+        {
+            text.Append($"--- Page {i + 1} ---\n");
+            if (pages[i].Length > 0) text.Append(pages[i]).Append('\n');
+            text.Append('\n');
+        }
+        return new ExtractedDocument { Format = "pdf", Pages = pages.Count, Text = text.ToString().TrimEnd() };
+    }
+
+    // ---------------- DOCX ----------------
+
+    private ExtractedDocument ExtractDocx(byte[] data)
+    {
+        XDocument document;
+        try
+        {
+            using var zip = new ZipArchive(new MemoryStream(data), ZipArchiveMode.Read);
+            var entry = zip.GetEntry("word/document.xml")
+                ?? throw new DocumentExtractionException("Not a Word document (word/document.xml is missing)");
+            if (entry.Length > MaxDocxXmlBytes)
+                throw new DocumentExtractionException("The document is too large to read");
+
+            // The declared size can lie, so count what actually comes out of the entry too
+            using var xml = new MemoryStream();
+            using (var entryStream = entry.Open())
+            {
+                var buffer = new byte[8192];
+                int read;
+                while ((read = entryStream.Read(buffer, 0, buffer.Length)) > 0)
+                {
+                    if (xml.Length + read > MaxDocxXmlBytes)
+                        throw new DocumentExtractionException("The document is too large to read");
+                    xml.Write(buffer, 0, read);
+                }
+            }
+            xml.Position = 0;
+            document = XDocument.Load(xml);
+        }
+        catch (InvalidDataException)
+        {
+            throw new DocumentExtractionException("Not a valid .docx file (legacy .doc files are not supported)");
+        }
+        catch (XmlException ex)
+        {
+            _logger.LogWarning(ex, "Failed to parse word/document.xml");
+            throw new DocumentExtractionException("The document is damaged (word/document.xml is not valid XML)");
+        }
+
+        var body = document.Root?.Element(W + "body");
+        if (body == null) throw new DocumentExtractionException("The document has no body");
+
+        // Word records where it last broke pages when saving; documents from other tools only have hard breaks
+        var writer = new DocxWriter(useRenderedBreaks: body.Descendants(W + "lastRenderedPageBreak").Any());
+        writer.WriteBlocks(body.Elements());
+        return new ExtractedDocument
+        {
+            Format = "docx",
+            Pages = writer.Page > 1 ? writer.Page : null,
+            Text = writer.ToString()
+        };
+    }
+
+    /// <summary>Walks paragraphs and tables in document order, writing headings, list items and table rows as Markdown-ish text.</summary>
+    private class DocxWriter
+    {
+        private readonly StringBuilder _text = new();
+        private readonly bool _useRenderedBreaks;
+
+        public int Page { get; private set; } = 1;
+
+        public DocxWriter(bool useRenderedBreaks)
+        {
+            _useRenderedBreaks = useRenderedBreaks;
+        }
+
+        public void WriteBlocks(IEnumerable<XElement> elements)
+        {
+            foreach (var element in elements)
+            {
+                if (element.Name == W + "p") WriteParagraph(element);
+                else if (element.Name == W + "tbl") WriteTable(element);
+                else if (element.Name == W + "sdt") WriteBlocks(element.Element(W + "sdtContent")?.Elements() ?? Enumerable.Empty<XElement>());
+            }
+        }
+
+        private void WriteParagraph(XElement paragraph)
+        {
+            var properties = paragraph.Element(W + "pPr");
+            if (!_useRenderedBreaks && properties?.Element(W + "pageBreakBefore") != null) PageBreak();
+
+            var line = new StringBuilder();
+            foreach (var node in paragraph.Descendants())
+            {
+                if (node.Name == W + "t") line.Append(node.Value);
+                else if (node.Name == W + "tab") line.Append('\t');
+                else if (node.Name == W + "cr" || (node.Name == W + "br" && (string?)node.Attribute(W + "type") != "page")) line.Append('\n');
+                else if (node.Name == W + "noBreakHyphen") line.Append('-');
+                else if ((node.Name == W + "lastRenderedPageBreak" && _useRenderedBreaks)
+                    || (node.Name == W + "br" && (string?)node.Attribute(W + "type") == "page" && !_useRenderedBreaks))
+                {
+                    FlushLine(line, properties);
+                    PageBreak();
+                }
+            }
+            FlushLine(line, properties);
+        }
+
+        private void FlushLine(StringBuilder line, XElement? properties)
+        {
+            var text = line.ToString().Trim();
+            line.Clear();
+            if (text.Length == 0) return;
+
+            var style = (string?)properties?.Element(W + "pStyle")?.Attribute(W + "val") ?? "";
+            var heading = Regex.Match(style, @"^heading\s*(\d)$", RegexOptions.IgnoreCase);
+            var level = heading.Success ? int.Parse(heading.Groups[1].Value)
+                : style.Equals("Title", StringComparison.OrdinalIgnoreCase) ? 1
+                : (int?)properties?.Element(W + "outlineLvl")?.Attribute(W + "val") is int outline && outline < 9 ? outline + 1
+                : 0;
+
+            if (level > 0) _text.Append($"\n{new string('#', Math.Min(level, 6))} {text}\n\n");
+            else if (properties?.Element(W + "numPr") != null) _text.Append($"- {text}\n");
+            else _text.Append(text).Append("\n\n");
+        }
+
+        private void WriteTable(XElement table)
+        {
+            var first = true;
+            foreach (var row in table.Elements(W + "tr"))
+            {
+                var cells = row.Elements(W + "tc").Select(cell =>
+                    string.Join(" ", cell.Descendants(W + "t").Select(t => t.Value)).Trim().Replace("|", "\\|")).ToList();
+                _text.Append("| ").Append(string.Join(" | ", cells)).Append(" |\n");
+                if (first) _text.Append('|').Append(string.Concat(cells.Select(_ => " --- |"))).Append('\n');
+                first = false;
+            }
+            _text.Append('\n');
+        }
+
+        private void PageBreak()
+        {
+            Page++;
+            _text.Append($"\n--- Page {Page} ---\n\n");
+        }
+
+        public override string ToString()
+        {
+            var text = Regex.Replace(_text.ToString(), @"\n{3,}", "\n\n").Trim();
+            return Page > 1 ? $"--- Page 1 ---\n\n{text}" : text;
+        }
+    }
+}
@@ -1,3 +1,4 @@
+using System.Net;
 using System.Net.Http.Json;
 using System.Runtime.CompilerServices;
 using System.Text;
@@ -14,6 +15,8 @@ public class FoundryLocalService : ILlmProvider
     private readonly ILogger<FoundryLocalService> _logger;
     private readonly IConfiguration _configuration;
     private string? _cachedEndpoint;
+    // Whether the server accepts stream_options (null until the first chat tells us)
+    private bool? _supportsStreamUsage;
 
     // Cache the catalog so we can look up URIs for download
     private List<JsonElement>? _catalogCache;
@@ -109,6 +112,7 @@ public class FoundryLocalService : ILlmProvider
     {
         _cachedEndpoint = null;
         _catalogCache = null;
+        _supportsStreamUsage = null;
         _logger.LogInformation("Foundry Local endpoint cache cleared, re-discovering...");
 
         // If there's an explicit endpoint in config, verify it directly
@@ -208,6 +212,17 @@ public class FoundryLocalService : ILlmProvider
                     if (model.TryGetProperty("maxOutputTokens", out var mot) && mot.ValueKind == JsonValueKind.Number)
                         maxOutputTokens = mot.GetInt32();
 
+                    // Context window size; the field name differs between catalog versions
+                    int? contextLength = null;
+                    foreach (var key in new[] { "contextLength", "maxContextLength", "maxInputTokens" })
+                    {
+                        if (model.TryGetProperty(key, out var cl) && cl.ValueKind == JsonValueKind.Number)
+                        {
+                            contextLength = cl.GetInt32();
+                            break;
+                        }
+                    }
+
                     models.Add(new ModelInfo
                     {
                         Id = name,
@@ -216,6 +231,7 @@ public class FoundryLocalService : ILlmProvider
                         Size = sizeBytes,
                         EstimatedRamMb = estimatedRamMb,
                         MaxOutputTokens = maxOutputTokens,
+                        ContextLength = contextLength,
                         Status = "available",
                         Provider = ProviderName,
                         Family = model.TryGetProperty("task", out var task) ? task.GetString() : null,
@@ -320,18 +336,25 @@ public class FoundryLocalService : ILlmProvider
             ["stream"] = true,
             ["temperature"] = request.Temperature
         };
+        // Ask for token counts in the final chunk, unless the server has already rejected the field
+        if (_supportsStreamUsage != false)
+            payloadDict["stream_options"] = new { include_usage = true };
         if (request.MaxTokens.HasValue && request.MaxTokens.Value > 0)
             payloadDict["max_tokens"] = request.MaxTokens.Value;
-
-        var jsonStr = JsonSerializer.Serialize(payloadDict);
-        _logger.LogInformation("Chat request to {Endpoint}/v1/chat/completions", endpoint);
-        var jsonContent = new StringContent(jsonStr, Encoding.UTF8, "application/json");
-        var httpRequest = new HttpRequestMessage(HttpMethod.Post, $"{endpoint}/v1/chat/completions")
-        {
-            Content = jsonContent
-        };
-
-        using var response = await _httpClient.SendAsync(httpRequest, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+        // Optional sampling parameters are only sent when set, so the model's defaults apply otherwise
+        if (request.TopP.HasValue)
+            payloadDict["top_p"] = request.TopP.Value;
+        if (request.PresencePenalty.HasValue)
+            payloadDict["presence_penalty"] = request.PresencePenalty.Value;
+        if (request.FrequencyPenalty.HasValue)
+            payloadDict["frequency_penalty"] = request.FrequencyPenalty.Value;
+        if (request.Seed.HasValue)
+            payloadDict["seed"] = request.Seed.Value;
+        var stop = request.Stop?.Where(s => !string.IsNullOrEmpty(s)).Take(4).ToArray();
+        if (stop is { Length: > 0 })
+            payloadDict["stop"] = stop;
+
+        using var response = await PostChatCompletionsAsync(endpoint, payloadDict, cancellationToken);
         _logger.LogInformation("Chat response status: {Status}, Content-Type: {CT}", response.StatusCode, response.Content.Headers.ContentType);
 
         if (!response.IsSuccessStatusCode)
@@ -429,23 +452,51 @@ public class FoundryLocalService : ILlmProvider
                     yield break;
                 }
 
+                if (doc.RootElement.TryGetProperty("usage", out var usage) && usage.ValueKind == JsonValueKind.Object)
+                {
+                    int TokenCount(string name) =>
+                        usage.TryGetProperty(name, out var v) && v.ValueKind == JsonValueKind.Number ? v.GetInt32() : 0;
+                    yield return new ChatResponse
+                    {
+                        Usage = new ChatUsage
+                        {
+                            PromptTokens = TokenCount("prompt_tokens"),
+                            CompletionTokens = TokenCount("completion_tokens"),
+                            TotalTokens = TokenCount("total_tokens")
+                        }
+                    };
+                }
+
                 if (doc.RootElement.TryGetProperty("choices", out var choices))
                 {
                     foreach (var choice in choices.EnumerateArray())
                     {
-                        if (choice.TryGetProperty("delta", out var delta) &&
-                            delta.TryGetProperty("content", out var content))
+                        // Streaming chunks carry a delta; a server that ignores "stream" sends one whole message
+                        var isDelta = choice.TryGetProperty("delta", out var part);
+                        if (!isDelta && !choice.TryGetProperty("message", out part)) continue;
+                        var finishReason = choice.TryGetProperty("finish_reason", out var reason) && reason.ValueKind == JsonValueKind.String
+                            ? reason.GetString()
+                            : null;
+
+                        var reasoning = ReasoningText(part);
+                        if (!string.IsNullOrEmpty(reasoning))
+                        {
+                            receivedAnyContent = true;
+                            yield return new ChatResponse { Reasoning = reasoning };
+                        }
+                        if (part.TryGetProperty("content", out var content) && content.ValueKind != JsonValueKind.Null)
                         {
                             var text = content.GetString() ?? "";
                             if (text.Length > 0) receivedAnyContent = true;
-                            yield return new ChatResponse { Content = text };
+                            // A whole message is the final chunk, so its finish reason travels with it
+                            yield return isDelta
+                                ? new ChatResponse { Content = text }
+                                : new ChatResponse { Content = text, Done = true, FinishReason = finishReason };
+                            if (!isDelta) continue;
                         }
-                        else if (choice.TryGetProperty("message", out var message) &&
-                                 message.TryGetProperty("content", out var msgContent))
+                        if (finishReason != null)
                         {
-                            var text = msgContent.GetString() ?? "";
-                            if (text.Length > 0) receivedAnyContent = true;
-                            yield return new ChatResponse { Content = text, Done = true };
+                            yield return new ChatResponse { FinishReason = finishReason, Done = !isDelta };
                         }
                     }
                 }
@@ -463,6 +514,51 @@ public class FoundryLocalService : ILlmProvider
         }
     }
 
+    /// <summary>
+    /// POSTs to /v1/chat/completions. A strict server may reject <c>stream_options</c> with a 400; then the request
+    /// is sent once more without it, and the field is left out of later requests if that one goes through.
+    /// </summary>
+    private async Task<HttpResponseMessage> PostChatCompletionsAsync(string endpoint, Dictionary<string, object> payload, CancellationToken cancellationToken)
+    {
+        _logger.LogInformation("Chat request to {Endpoint}/v1/chat/completions", endpoint);
+        var response = await Send();
+        if (response.StatusCode == HttpStatusCode.BadRequest && payload.ContainsKey("stream_options"))
+        {
+            var errorBody = await response.Content.ReadAsStringAsync(cancellationToken);
+            response.Dispose();
+            _logger.LogWarning("Chat completions returned 400 with stream_options ({Body}); retrying without it", errorBody);
+            payload.Remove("stream_options");
+            response = await Send();
+            if (response.IsSuccessStatusCode) _supportsStreamUsage = false;
+        }
+        else if (response.IsSuccessStatusCode && payload.ContainsKey("stream_options"))
+        {
+            _supportsStreamUsage = true;
+        }
+        return response;
+
+        Task<HttpResponseMessage> Send()
+        {
+            var httpRequest = new HttpRequestMessage(HttpMethod.Post, $"{endpoint}/v1/chat/completions")
+            {
+                Content = new StringContent(JsonSerializer.Serialize(payload), Encoding.UTF8, "application/json")
+            };
+            return _httpClient.SendAsync(httpRequest, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+        }
+    }
+
+    // Reasoning models served through OpenAI-compatible APIs stream their thinking in a separate field;
+    // servers differ on the name
+    private static string? ReasoningText(JsonElement part)
+    {
+        foreach (var name in new[] { "reasoning_content", "reasoning" })
+        {
+            if (part.TryGetProperty(name, out var value) && value.ValueKind == JsonValueKind.String)
+                return value.GetString();
+        }
+        return null;
+    }
+
     public async IAsyncEnumerable<DownloadProgress> DownloadModelAsync(string modelId, [EnumeratorCancellation] CancellationToken cancellationToken = default)
     {
         yield return new DownloadProgress { ModelId = modelId, Status = "starting" };
@@ -641,6 +737,46 @@ public class FoundryLocalService : ILlmProvider
         }
     }
 
+    public async Task<List<float[]>?> GetEmbeddingsAsync(string modelId, IReadOnlyList<string> inputs, CancellationToken cancellationToken = default)
+    {
+        if (inputs.Count == 0) return new List<float[]>();
+        var endpoint = await GetEndpointAsync();
+
+        try
+        {
+            await _httpClient.GetAsync($"{endpoint}/openai/load/{Uri.EscapeDataString(modelId)}", cancellationToken);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _logger.LogWarning(ex, "Model load request failed for {Model}", modelId);
+        }
+
+        try
+        {
+            var payload = JsonSerializer.Serialize(new { model = modelId, input = inputs });
+            using var response = await _httpClient.PostAsync($"{endpoint}/v1/embeddings",
+                new StringContent(payload, Encoding.UTF8, "application/json"), cancellationToken);
+            var body = await response.Content.ReadAsStringAsync(cancellationToken);
+            if (!response.IsSuccessStatusCode)
+            {
+                _logger.LogWarning("Embeddings request for {Model} returned {Status}: {Body}", modelId, response.StatusCode, body);
+                return null;
+            }
+
+            using var doc = JsonDocument.Parse(body);
+            var vectors = doc.RootElement.GetProperty("data").EnumerateArray()
+                .OrderBy(d => d.TryGetProperty("index", out var i) ? i.GetInt32() : 0)
+                .Select(d => d.GetProperty("embedding").EnumerateArray().Select(v => v.GetSingle()).ToArray())
+                .ToList();
+            return vectors.Count == inputs.Count ? vectors : null;
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _logger.LogWarning(ex, "Embeddings request failed for {Model}", modelId);
+            return null;
+        }
+    }
+
     public async Task<bool> DeleteModelAsync(string modelId, CancellationToken cancellationToken = default)
     {
         _logger.LogInformation("Deleting model {ModelId} via REST + file deletion", modelId);
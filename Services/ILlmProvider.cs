@@ -16,4 +16,7 @@ public interface ILlmProvider
 
     /// <summary>Deletes a downloaded model.</summary>
     Task<bool> DeleteModelAsync(string modelId, CancellationToken cancellationToken = default);
+
+    /// <summary>Embedding vectors for each input, or null when the model or server does not support embeddings.</summary>
+    Task<List<float[]>?> GetEmbeddingsAsync(string modelId, IReadOnlyList<string> inputs, CancellationToken cancellationToken = default);
 }
@@ -0,0 +1,417 @@
+using System.Text;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+namespace FoundryWebUI.Services;
+
+public class KnowledgeChunk
+{
+    public string Id { get; set; } = Guid.NewGuid().ToString("N")[..12];
+    public string DocumentId { get; set; } = string.Empty;
+    public int Index { get; set; }
+    public string Text { get; set; } = string.Empty;
+
+    /// <summary>Page the chunk starts on, from the "--- Page N ---" markers of extracted PDFs / DOCX.</summary>
+    public int? Page { get; set; }
+
+    /// <summary>Nearest Markdown heading above the chunk.</summary>
+    public string? Section { get; set; }
+
+    public float[]? Embedding { get; set; }
+}
+
+public class KnowledgeDocument
+{
+    public string Id { get; set; } = Guid.NewGuid().ToString("N")[..8];
+
+    /// <summary>Name as uploaded, including the folder path for folder uploads.</summary>
+    public string FileName { get; set; } = string.Empty;
+    public string Format { get; set; } = string.Empty;
+    public int Characters { get; set; }
+    public int ChunkCount { get; set; }
+    public bool Embedded { get; set; }
+    public DateTime AddedAt { get; set; } = DateTime.UtcNow;
+}
+
+public class KnowledgeCollection
+{
+    public string Id { get; set; } = Guid.NewGuid().ToString("N")[..8];
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>Model used to embed chunks and queries; null for keyword (BM25) search only.</summary>
+    public string? EmbeddingModel { get; set; }
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+    public List<KnowledgeDocument> Documents { get; set; } = new();
+    public List<KnowledgeChunk> Chunks { get; set; } = new();
+}
+
+public class KnowledgeSearchResult
+{
+    public string ChunkId { get; set; } = string.Empty;
+    public string DocumentId { get; set; } = string.Empty;
+    public string FileName { get; set; } = string.Empty;
+    public int? Page { get; set; }
+    public string? Section { get; set; }
+    public string Text { get; set; } = string.Empty;
+    public double Score { get; set; }
+    public double? Bm25 { get; set; }
+    public double? Similarity { get; set; }
+}
+
+/// <summary>
+/// Document collections for retrieval-augmented chat, one JSON file per collection under knowledge-base/.
+/// Documents are split into overlapping chunks and searched with BM25, fused with embedding similarity
+/// (reciprocal rank fusion) when the collection has an embedding model and the chunks were embedded.
+/// </summary>
+public class KnowledgeBaseStore
+{
+    public const int ChunkChars = 1200;
+    private const int ChunkOverlapChars = 200;
+    private const double Bm25K1 = 1.2;
+    private const double Bm25B = 0.75;
+    private const int RrfK = 60;
+
+    private static readonly HashSet<string> StopWords = new(
+        ("a an and are as at be but by for from has have how i if in into is it its of on or that the their then there " +
+         "these they this to was were what when where which who why will with you your").Split(' '));
+    private static readonly Regex TokenPattern = new(
+        @"[\p{IsCJKUnifiedIdeographs}\p{IsHiragana}\p{IsKatakana}\p{IsHangulSyllables}]|[\p{L}\p{N}_-[\p{IsCJKUnifiedIdeographs}\p{IsHiragana}\p{IsKatakana}\p{IsHangulSyllables}]]+",
+        RegexOptions.Compiled);
+
+    private readonly string _directory;
+    private readonly ILogger<KnowledgeBaseStore> _logger;
+    private readonly Dictionary<string, KnowledgeCollection> _collections = new();
+    private readonly Dictionary<string, Bm25Index> _indexes = new();
+    private readonly object _lock = new();
+    private static readonly JsonSerializerOptions _jsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+    };
+
+    public KnowledgeBaseStore(IWebHostEnvironment env, ILogger<KnowledgeBaseStore> logger)
+    {
+        _logger = logger;
+        _directory = Path.Combine(env.ContentRootPath, "knowledge-base");
+        Load();
+    }
+
+    private void Load()
+    {
+        lock (_lock)
+        {
+            if (!Directory.Exists(_directory)) return;
+            foreach (var file in Directory.GetFiles(_directory, "*.json"))
+            {
+                try
+                {
+                    var collection = JsonSerializer.Deserialize<KnowledgeCollection>(File.ReadAllText(file), _jsonOptions);
+                    if (collection != null) _collections[collection.Id] = collection;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Failed to load knowledge base collection from {Path}", file);
+                }
+            }
+        }
+    }
+
+    private string PathFor(string id) => Path.Combine(_directory, $"{id}.json");
+
+    private void Save(KnowledgeCollection collection)
+    {
+        try
+        {
+            Directory.CreateDirectory(_directory);
+            File.WriteAllText(PathFor(collection.Id), JsonSerializer.Serialize(collection, _jsonOptions));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save knowledge base collection to {Path}", PathFor(collection.Id));
+        }
+    }
+
+    public List<KnowledgeCollection> GetAll()
+    {
+        lock (_lock) { return _collections.Values.OrderBy(c => c.Name, StringComparer.OrdinalIgnoreCase).ToList(); }
+    }
+
+    public KnowledgeCollection? GetById(string id)
+    {
+        lock (_lock) { return _collections.GetValueOrDefault(id); }
+    }
+
+    public List<KnowledgeDocument> GetDocuments(string id)
+    {
+        lock (_lock)
+        {
+            return _collections.TryGetValue(id, out var collection)
+                ? collection.Documents.OrderBy(d => d.FileName, StringComparer.OrdinalIgnoreCase).ToList()
+                : new List<KnowledgeDocument>();
+        }
+    }
+
+    public KnowledgeCollection Create(string name, string? embeddingModel)
+    {
+        lock (_lock)
+        {
+            var collection = new KnowledgeCollection { Name = name, EmbeddingModel = embeddingModel };
+            _collections[collection.Id] = collection;
+            Save(collection);
+            return collection;
+        }
+    }
+
+    public bool Delete(string id)
+    {
+        lock (_lock)
+        {
+            if (!_collections.Remove(id)) return false;
+            _indexes.Remove(id);
+            try
+            {
+                File.Delete(PathFor(id));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to delete knowledge base file {Path}", PathFor(id));
+            }
+            return true;
+        }
+    }
+
+    /// <summary>Adds a document's chunks, replacing an earlier upload with the same file name.</summary>
+    public KnowledgeDocument? AddDocument(string collectionId, string fileName, string format, int characters, List<KnowledgeChunk> chunks)
+    {
+        lock (_lock)
+        {
+            if (!_collections.TryGetValue(collectionId, out var collection)) return null;
+            var existing = collection.Documents.FirstOrDefault(d => d.FileName.Equals(fileName, StringComparison.OrdinalIgnoreCase));
+            if (existing != null)
+            {
+                collection.Documents.Remove(existing);
+                collection.Chunks.RemoveAll(c => c.DocumentId == existing.Id);
+            }
+
+            var document = new KnowledgeDocument
+            {
+                FileName = fileName,
+                Format = format,
+                Characters = characters,
+                ChunkCount = chunks.Count,
+                Embedded = chunks.Count > 0 && chunks.All(c => c.Embedding != null)
+            };
+            foreach (var chunk in chunks) chunk.DocumentId = document.Id;
+            collection.Documents.Add(document);
+            collection.Chunks.AddRange(chunks);
+            collection.UpdatedAt = DateTime.UtcNow;
+            _indexes.Remove(collectionId);
+            Save(collection);
+            return document;
+        }
+    }
+
+    public bool RemoveDocument(string collectionId, string documentId)
+    {
+        lock (_lock)
+        {
+            if (!_collections.TryGetValue(collectionId, out var collection)) return false;
+            if (collection.Documents.RemoveAll(d => d.Id == documentId) == 0) return false;
+            collection.Chunks.RemoveAll(c => c.DocumentId == documentId);
+            collection.UpdatedAt = DateTime.UtcNow;
+            _indexes.Remove(collectionId);
+            Save(collection);
+            return true;
+        }
+    }
+
+    // ---------------- Chunking ----------------
+
+    /// <summary>
+    /// Splits text into chunks of about <see cref="ChunkChars"/> characters on paragraph boundaries, each starting with
+    /// the tail of the previous one so sentences cut at a boundary still appear whole somewhere.
+    /// </summary>
+    public static List<KnowledgeChunk> ChunkText(string text)
+    {
+        var chunks = new List<KnowledgeChunk>();
+        var current = new StringBuilder();
+        var hasNewText = false;
+        int? page = null;
+        string? section = null;
+        int? chunkPage = null;
+        string? chunkSection = null;
+
+        void Flush()
+        {
+            var chunkText = current.ToString().Trim();
+            if (hasNewText && chunkText.Length > 0)
+                chunks.Add(new KnowledgeChunk { Index = chunks.Count, Text = chunkText, Page = chunkPage, Section = chunkSection });
+            var tail = chunkText.Length > ChunkOverlapChars ? chunkText[^ChunkOverlapChars..] : chunkText;
+            var wordStart = tail.IndexOf(' ');
+            current.Clear().Append(wordStart >= 0 && chunkText.Length > ChunkOverlapChars ? tail[(wordStart + 1)..] : tail);
+            hasNewText = false;
+            chunkPage = page;
+            chunkSection = section;
+        }
+
+        foreach (var block in Regex.Split(text.Replace("\r\n", "\n"), @"\n\s*\n"))
+        {
+            var paragraph = block.Trim();
+            Match marker;
+            while ((marker = Regex.Match(paragraph, @"^--- Page (\d+) ---\s*")).Success)
+            {
+                page = int.Parse(marker.Groups[1].Value);
+                paragraph = paragraph[marker.Length..];
+            }
+            if (paragraph.Length == 0) continue;
+            if (paragraph.StartsWith('#'))
+            {
+                var heading = paragraph.Split('\n')[0].TrimStart('#').Trim();
+                section = heading.Length > 120 ? heading[..120] : heading;
+            }
+
+            foreach (var piece in SplitLong(paragraph))
+            {
+                if (hasNewText && current.Length + piece.Length + 2 > ChunkChars) Flush();
+                if (!hasNewText)
+                {
+                    chunkPage = page;
+                    chunkSection = section;
+                }
+                if (current.Length > 0) current.Append("\n\n");
+                current.Append(piece);
+                hasNewText = true;
+            }
+        }
+        Flush();
+        return chunks;
+    }
+
+    // Paragraphs longer than a chunk are cut at sentence ends, else at spaces
+    private static IEnumerable<string> SplitLong(string paragraph)
+    {
+        while (paragraph.Length > ChunkChars)
+        {
+            var window = paragraph[..ChunkChars];
+            var cut = Math.Max(window.LastIndexOf(". ", StringComparison.Ordinal) + 1, window.LastIndexOf('\n'));
+            if (cut < ChunkChars / 2) cut = window.LastIndexOf(' ');
+            if (cut < ChunkChars / 2) cut = ChunkChars;
+            yield return paragraph[..cut].Trim();
+            paragraph = paragraph[cut..].Trim();
+        }
+        if (paragraph.Length > 0) yield return paragraph;
+    }
+
+    // ---------------- Search ----------------
+
+    private static List<string> Tokenize(string text)
+    {
+        return TokenPattern.Matches(text.ToLowerInvariant())
+            .Select(m => m.Value)
+            .Where(t => !StopWords.Contains(t))
+            .ToList();
+    }
+
+    /// <summary>Top matches for the query; queryEmbedding (from the collection's embedding model) adds semantic ranking.</summary>
+    public List<KnowledgeSearchResult> Search(string collectionId, string query, int topK, float[]? queryEmbedding = null)
+    {
+        lock (_lock)
+        {
+            if (!_collections.TryGetValue(collectionId, out var collection) || collection.Chunks.Count == 0)
+                return new List<KnowledgeSearchResult>();
+            if (!_indexes.TryGetValue(collectionId, out var index))
+            {
+                index = new Bm25Index(collection.Chunks.Select(c => Tokenize(c.Text)).ToList());
+                _indexes[collectionId] = index;
+            }
+
+            var bm25 = index.Score(Tokenize(query));
+            var similarity = queryEmbedding == null
+                ? null
+                : collection.Chunks.Select(c => c.Embedding != null && c.Embedding.Length == queryEmbedding.Length ? Cosine(c.Embedding, queryEmbedding) : (double?)null).ToArray();
+
+            var keywordRanking = Enumerable.Range(0, bm25.Length).Where(i => bm25[i] > 0).OrderByDescending(i => bm25[i]).ToList();
+            var semanticRanking = similarity == null
+                ? new List<int>()
+                : Enumerable.Range(0, similarity.Length).Where(i => similarity[i].HasValue).OrderByDescending(i => similarity[i]).Take(50).ToList();
+
+            // Reciprocal rank fusion when both rankings exist; plain BM25 otherwise
+            var scores = new Dictionary<int, double>();
+            if (semanticRanking.Count > 0)
+            {
+                for (var r = 0; r < keywordRanking.Count && r < 50; r++) scores[keywordRanking[r]] = 1.0 / (RrfK + r + 1);
+                for (var r = 0; r < semanticRanking.Count; r++)
+                    scores[semanticRanking[r]] = scores.GetValueOrDefault(semanticRanking[r]) + 1.0 / (RrfK + r + 1);
+            }
+            else
+            {
+                foreach (var i in keywordRanking) scores[i] = bm25[i];
+            }
+
+            var fileNames = collection.Documents.ToDictionary(d => d.Id, d => d.FileName);
+            return scores.OrderByDescending(kv => kv.Value).Take(topK).Select(kv =>
+            {
+                var chunk = collection.Chunks[kv.Key];
+                return new KnowledgeSearchResult
+                {
+                    ChunkId = chunk.Id,
+                    DocumentId = chunk.DocumentId,
+                    FileName = fileNames.GetValueOrDefault(chunk.DocumentId, "?"),
+                    Page = chunk.Page,
+                    Section = chunk.Section,
+                    Text = chunk.Text,
+                    Score = Math.Round(kv.Value, 4),
+                    Bm25 = bm25[kv.Key] > 0 ? Math.Round(bm25[kv.Key], 3) : null,
+                    Similarity = similarity?[kv.Key] is double s ? Math.Round(s, 3) : null
+                };
+            }).ToList();
+        }
+    }
+
+    private static double Cosine(float[] a, float[] b)
+    {
+        double dot = 0, na = 0, nb = 0;
+        for (var i = 0; i < a.Length; i++)
+        {
+            dot += a[i] * b[i];
+            na += a[i] * a[i];
+            nb += b[i] * b[i];
+        }
+        return na == 0 || nb == 0 ? 0 : dot / (Math.Sqrt(na) * Math.Sqrt(nb));
+    }
+
+    /// <summary>Okapi BM25 over the chunks of one collection; rebuilt lazily after the collection changes.</summary>
+    private class Bm25Index
+    {
+        private readonly List<Dictionary<string, int>> _termFrequencies;
+        private readonly Dictionary<string, int> _documentFrequencies = new();
+        private readonly int[] _lengths;
+        private readonly double _averageLength;
+
+        public Bm25Index(List<List<string>> chunks)
+        {
+            _termFrequencies = chunks.Select(tokens => tokens.GroupBy(t => t).ToDictionary(g => g.Key, g => g.Count())).ToList();
+            _lengths = chunks.Select(t => t.Count).ToArray();
+            _averageLength = _lengths.Length == 0 ? 0 : Math.Max(1, _lengths.Average());
+            foreach (var term in _termFrequencies.SelectMany(tf => tf.Keys))
+                _documentFrequencies[term] = _documentFrequencies.GetValueOrDefault(term) + 1;
+        }
+
+        public double[] Score(List<string> query)
+        {
+            var scores = new double[_termFrequencies.Count];
+            var n = _termFrequencies.Count;
+            foreach (var term in query.Distinct())
+            {
+                if (!_documentFrequencies.TryGetValue(term, out var df)) continue;
+                var idf = Math.Log(1 + (n - df + 0.5) / (df + 0.5));
+                for (var i = 0; i < n; i++)
+                {
+                    if (!_termFrequencies[i].TryGetValue(term, out var tf)) continue;
+                    scores[i] += idf * tf * (Bm25K1 + 1) / (tf + Bm25K1 * (1 - Bm25B + Bm25B * _lengths[i] / _averageLength));
+                }
+            }
+            return scores;
+        }
+    }
+}
@@ -0,0 +1,167 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace FoundryWebUI.Services;
+
+/// <summary>Named set of sampling parameters; property names match the chat request so the browser can apply them as-is.</summary>
+public class ParameterPreset
+{
+    public string Id { get; set; } = Guid.NewGuid().ToString("N")[..8];
+    public string Name { get; set; } = string.Empty;
+    public double Temperature { get; set; } = 0.7;
+    [JsonPropertyName("top_p")]
+    public double? TopP { get; set; }
+    [JsonPropertyName("presence_penalty")]
+    public double? PresencePenalty { get; set; }
+    [JsonPropertyName("frequency_penalty")]
+    public double? FrequencyPenalty { get; set; }
+    public int? Seed { get; set; }
+    public List<string>? Stop { get; set; }
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+}
+
+public class ParameterPresetData
+{
+    public List<ParameterPreset> Presets { get; set; } = new();
+
+    /// <summary>Model id -> id of the preset applied when that model is selected.</summary>
+    public Dictionary<string, string> ModelDefaults { get; set; } = new();
+}
+
+public class ParameterPresetStore
+{
+    private readonly string _filePath;
+    private readonly ILogger<ParameterPresetStore> _logger;
+    private ParameterPresetData _data = new();
+    private readonly object _lock = new();
+    private static readonly JsonSerializerOptions _jsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+    };
+
+    public ParameterPresetStore(IWebHostEnvironment env, ILogger<ParameterPresetStore> logger)
+    {
+        _logger = logger;
+        _filePath = Path.Combine(env.ContentRootPath, "parameter-presets.json");
+        Load();
+    }
+
+    private void Load()
+    {
+        lock (_lock)
+        {
+            if (File.Exists(_filePath))
+            {
+                try
+                {
+                    var json = File.ReadAllText(_filePath);
+                    _data = JsonSerializer.Deserialize<ParameterPresetData>(json, _jsonOptions) ?? new();
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Failed to load parameter presets from {Path}", _filePath);
+                    _data = new();
+                }
+                return;
+            }
+
+            // First run: start with a few common presets (deleting them later sticks)
+            _data.Presets.Add(new ParameterPreset { Id = "precise", Name = "Precise", Temperature = 0.2, TopP = 0.9 });
+            _data.Presets.Add(new ParameterPreset { Id = "creative", Name = "Creative", Temperature = 1.1, TopP = 0.95, PresencePenalty = 0.4 });
+            _data.Presets.Add(new ParameterPreset { Id = "code", Name = "Code", Temperature = 0.1, TopP = 0.95 });
+            Save();
+        }
+    }
+
+    private void Save()
+    {
+        try
+        {
+            var json = JsonSerializer.Serialize(_data, _jsonOptions);
+            File.WriteAllText(_filePath, json);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save parameter presets to {Path}", _filePath);
+        }
+    }
+
+    public ParameterPresetData GetAll()
+    {
+        lock (_lock)
+        {
+            return new ParameterPresetData
+            {
+                Presets = _data.Presets.ToList(),
+                ModelDefaults = new Dictionary<string, string>(_data.ModelDefaults)
+            };
+        }
+    }
+
+    public ParameterPreset? GetById(string id)
+    {
+        lock (_lock) { return _data.Presets.FirstOrDefault(p => p.Id == id); }
+    }
+
+    public ParameterPreset Add(ParameterPreset preset)
+    {
+        lock (_lock)
+        {
+            _data.Presets.Add(preset);
+            Save();
+            return preset;
+        }
+    }
+
+    /// <summary>Replaces the values of an existing preset, keeping its id and creation time.</summary>
+    public ParameterPreset? Update(string id, ParameterPreset values)
+    {
+        lock (_lock)
+        {
+            var index = _data.Presets.FindIndex(p => p.Id == id);
+            if (index < 0) return null;
+            values.Id = id;
+            values.CreatedAt = _data.Presets[index].CreatedAt;
+            values.UpdatedAt = DateTime.UtcNow;
+            _data.Presets[index] = values;
+            Save();
+            return values;
+        }
+    }
+
+    /// <summary>Deletes a preset and unpins it from any model that used it as default.</summary>
+    public bool Delete(string id)
+    {
+        lock (_lock)
+        {
+            var preset = _data.Presets.FirstOrDefault(p => p.Id == id);
+            if (preset == null) return false;
+            _data.Presets.Remove(preset);
+            foreach (var model in _data.ModelDefaults.Where(kv => kv.Value == id).Select(kv => kv.Key).ToList())
+                _data.ModelDefaults.Remove(model);
+            Save();
+            return true;
+        }
+    }
+
+    /// <summary>Pins a preset to a model id, or unpins the model when presetId is null.</summary>
+    public bool SetModelDefault(string modelId, string? presetId)
+    {
+        lock (_lock)
+        {
+            if (presetId == null)
+            {
+                _data.ModelDefaults.Remove(modelId);
+            }
+            else
+            {
+                if (!_data.Presets.Any(p => p.Id == presetId)) return false;
+                _data.ModelDefaults[modelId] = presetId;
+            }
+            Save();
+            return true;
+        }
+    }
+}
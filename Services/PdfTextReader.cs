@@ -0,0 +1,789 @@
+using System.Globalization;
+using System.IO.Compression;
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace FoundryWebUI.Services;
+
+/// <summary>
+/// Minimal PDF text reader: walks the page tree, decodes Flate/ASCIIHex/ASCII85 content streams (including
+/// object streams and form XObjects) and maps text through each font's ToUnicode CMap or simple encoding.
+/// Enough for documents produced by office suites and PDF printers; scanned pages (images only) yield no text.
+/// samples/pdf holds a document for each of these features with the text it should produce.
+/// </summary>
+public class PdfTextReader
+{
+    private const int MaxFormDepth = 5;
+
+    // Deflate bombs: a small upload can inflate to gigabytes, so decoded output is capped per stream and in total
+    // (the total also counts streams decoded again, like a form drawn on every page)
+    private const int MaxInflatedStreamBytes = 64 * 1024 * 1024;
+    private const long MaxDecodedDocumentBytes = 256 * 1024 * 1024;
+
+    // Hostile structure: these bound the recursion (and so the stack) and the bookkeeping per document
+    private const int MaxObjects = 500_000;
+    private const int MaxPages = 10_000;
+    private const int MaxPageTreeDepth = 64;
+    private const int MaxNestingDepth = 100;
+
+    private readonly byte[] _data;
+    private readonly Dictionary<int, int> _offsets = new();
+    private readonly Dictionary<int, object?> _objects = new();
+    private readonly Dictionary<int, PdfFont> _fonts = new();
+    private long _decodedBytes;
+
+    public PdfTextReader(byte[] data)
+    {
+        _data = data;
+    }
+
+    /// <summary>Text of each page, in page order.</summary>
+    public List<string> ReadPages()
+    {
+        var text = Encoding.Latin1.GetString(_data);
+        if (!text.StartsWith("%PDF")) throw new DocumentExtractionException("Not a PDF file");
+        if (Regex.IsMatch(text, @"/Encrypt\s*(\d+\s+\d+\s+R|<<)"))
+            throw new DocumentExtractionException("Encrypted PDFs are not supported; save an unprotected copy first");
+
+        // Later definitions win, which is how incremental updates replace objects
+        foreach (Match m in Regex.Matches(text, @"(?<![\d])(\d+)\s+\d+\s+obj\b"))
+            _offsets[int.Parse(m.Groups[1].Value)] = m.Index + m.Length;
+        if (_offsets.Count > MaxObjects) throw TooComplex();
+        LoadObjectStreams();
+
+        var root = FindRoot(text);
+        var pages = new List<string>();
+        if (root == null) throw new DocumentExtractionException("Could not find the PDF document catalog");
+        CollectPages(Resolve(root.GetValueOrDefault("Pages")) as Dictionary<string, object?>, null, pages, new HashSet<object>(), 0);
+        return pages;
+    }
+
+    private static DocumentExtractionException TooLarge() =>
+        new("The PDF decompresses to more data than is supported");
+
+    private static DocumentExtractionException TooComplex() =>
+        new("The PDF is too large or too deeply nested to read");
+
+    // ---------------- Objects ----------------
+
+    private object? GetObject(int number)
+    {
+        if (_objects.TryGetValue(number, out var cached)) return cached;
+        if (!_offsets.TryGetValue(number, out var offset)) return null;
+        _objects[number] = null; // guards against reference cycles while parsing (e.g. a /Length pointing back)
+        object? value;
+        try
+        {
+            var lexer = new PdfLexer(_data, offset, allowReferences: true);
+            value = lexer.ReadObject();
+            if (value is Dictionary<string, object?> dict && lexer.TryReadStreamStart())
+                value = new PdfStream(dict, ReadStreamData(dict, lexer.Position));
+        }
+        catch (Exception ex) when (ex is not DocumentExtractionException)
+        {
+            value = null; // a damaged object should not take the whole document down
+        }
+        _objects[number] = value;
+        return value;
+    }
+
+    private byte[] ReadStreamData(Dictionary<string, object?> dict, int start)
+    {
+        var length = Resolve(dict.GetValueOrDefault("Length")) is double d ? (int)d : -1;
+        if (length >= 0 && start + length <= _data.Length && IsEndStreamAt(start + length))
+            return _data[start..(start + length)];
+
+        // Missing or wrong /Length: fall back to the endstream keyword
+        var end = IndexOf(_data, "endstream"u8, start);
+        if (end < 0) end = _data.Length;
+        while (end > start && (_data[end - 1] == '\n' || _data[end - 1] == '\r')) end--;
+        return _data[start..end];
+    }
+
+    private bool IsEndStreamAt(int position)
+    {
+        while (position < _data.Length && PdfLexer.IsWhitespace(_data[position])) position++;
+        return _data.AsSpan(position).StartsWith("endstream"u8);
+    }
+
+    private static int IndexOf(byte[] data, ReadOnlySpan<byte> value, int start)
+    {
+        var index = data.AsSpan(start).IndexOf(value);
+        return index < 0 ? -1 : start + index;
+    }
+
+    private object? Resolve(object? value)
+    {
+        for (var depth = 0; value is PdfReference r && depth < 16; depth++)
+            value = GetObject(r.Number);
+        return value;
+    }
+
+    // PDF 1.5+ packs most small objects into compressed object streams
+    private void LoadObjectStreams()
+    {
+        foreach (var number in _offsets.Keys.ToList())
+        {
+            if (GetObject(number) is not PdfStream stream || NameOf(stream.Dictionary.GetValueOrDefault("Type")) != "ObjStm") continue;
+            var data = Decode(stream);
+            if (data == null) continue;
+            var count = Resolve(stream.Dictionary.GetValueOrDefault("N")) is double n ? (int)n : 0;
+            if (_offsets.Count + _objects.Count + count > MaxObjects) throw TooComplex();
+            var first = Resolve(stream.Dictionary.GetValueOrDefault("First")) is double f ? (int)f : 0;
+            var header = new PdfLexer(data, 0, allowReferences: false);
+            for (var i = 0; i < count; i++)
+            {
+                if (header.ReadObject() is not double objNumber || header.ReadObject() is not double objOffset) break;
+                if (_offsets.ContainsKey((int)objNumber) || _objects.ContainsKey((int)objNumber)) continue;
+                try
+                {
+                    _objects[(int)objNumber] = new PdfLexer(data, first + (int)objOffset, allowReferences: true).ReadObject();
+                }
+                catch (Exception ex) when (ex is not DocumentExtractionException)
+                {
+                    // skip the damaged entry
+                }
+            }
+        }
+    }
+
+    private Dictionary<string, object?>? FindRoot(string text)
+    {
+        var matches = Regex.Matches(text, @"/Root\s+(\d+)\s+\d+\s+R");
+        for (var i = matches.Count - 1; i >= 0; i--)
+        {
+            if (GetObject(int.Parse(matches[i].Groups[1].Value)) is Dictionary<string, object?> root) return root;
+        }
+        foreach (var number in _offsets.Keys.Concat(_objects.Keys).Distinct().ToList())
+        {
+            if (GetObject(number) is Dictionary<string, object?> dict && NameOf(dict.GetValueOrDefault("Type")) == "Catalog") return dict;
+        }
+        return null;
+    }
+
+    private static string? NameOf(object? value) => value is PdfName name ? name.Value : null;
+
+    // ---------------- Pages ----------------
+
+    private void CollectPages(Dictionary<string, object?>? node, object? inheritedResources, List<string> pages, HashSet<object> visited, int depth)
+    {
+        if (node == null || !visited.Add(node)) return;
+        if (depth > MaxPageTreeDepth || pages.Count >= MaxPages) throw TooComplex();
+        var resources = node.GetValueOrDefault("Resources") ?? inheritedResources;
+
+        if (NameOf(node.GetValueOrDefault("Type")) == "Page" || !node.ContainsKey("Kids"))
+        {
+            var content = new StringBuilder();
+            var contents = Resolve(node.GetValueOrDefault("Contents"));
+            var streams = contents is List<object?> list ? list.Select(Resolve) : new[] { contents };
+            var data = new MemoryStream();
+            foreach (var stream in streams.OfType<PdfStream>())
+            {
+                if (Decode(stream) is not { } decoded) continue;
+                data.Write(decoded);
+                data.WriteByte((byte)'\n'); // content may be split mid-page across several streams
+            }
+            new ContentReader(this, content).Run(data.ToArray(), Resolve(resources) as Dictionary<string, object?>, 0);
+            pages.Add(CleanText(content.ToString()));
+            return;
+        }
+
+        if (Resolve(node.GetValueOrDefault("Kids")) is not List<object?> kids) return;
+        foreach (var kid in kids)
+            CollectPages(Resolve(kid) as Dictionary<string, object?>, resources, pages, visited, depth + 1);
+    }
+
+    private static string CleanText(string text)
+    {
+        var lines = text.Split('\n').Select(line => Regex.Replace(line, @"[ \t]+", " ").Trim());
+        return Regex.Replace(string.Join("\n", lines), @"\n{3,}", "\n\n").Trim();
+    }
+
+    // ---------------- Filters ----------------
+
+    private byte[]? Decode(PdfStream stream)
+    {
+        var filters = Resolve(stream.Dictionary.GetValueOrDefault("Filter")) switch
+        {
+            PdfName name => new List<string> { name.Value },
+            List<object?> list => list.Select(f => NameOf(Resolve(f)) ?? "").ToList(),
+            _ => new List<string>()
+        };
+        var data = stream.Data;
+        foreach (var filter in filters)
+        {
+            data = filter switch
+            {
+                "FlateDecode" or "Fl" => Inflate(data),
+                "ASCIIHexDecode" or "AHx" => PdfLexer.DecodeHex(Encoding.Latin1.GetString(data).TrimEnd().TrimEnd('>')),
+                "ASCII85Decode" or "A85" => DecodeAscii85(data),
+                _ => null // images (DCT, JBIG2, CCITT) and rare LZW streams carry no text we can read
+            };
+            if (data == null) return null;
+        }
+        _decodedBytes += data.Length;
+        if (_decodedBytes > MaxDecodedDocumentBytes) throw TooLarge();
+        return data;
+    }
+
+    // Lenient inflate: many writers produce streams with a bad checksum or trailing garbage, so keep whatever decoded
+    private byte[] Inflate(byte[] data)
+    {
+        var output = new MemoryStream();
+        try
+        {
+            var skip = data.Length > 2 && (data[0] & 0x0F) == 8 ? 2 : 0; // zlib header
+            using var deflate = new DeflateStream(new MemoryStream(data, skip, data.Length - skip), CompressionMode.Decompress);
+            var buffer = new byte[8192];
+            int read;
+            while ((read = deflate.Read(buffer, 0, buffer.Length)) > 0)
+            {
+                if (output.Length + read > MaxInflatedStreamBytes || _decodedBytes + output.Length + read > MaxDecodedDocumentBytes)
+                    throw TooLarge();
+                output.Write(buffer, 0, read);
+            }
+        }
+        catch (InvalidDataException)
+        {
+            // truncated or corrupt tail
+        }
+        return output.ToArray();
+    }
+
+    private static byte[] DecodeAscii85(byte[] data)
+    {
+        var output = new List<byte>();
+        var group = new List<int>(5);
+        var text = Encoding.Latin1.GetString(data);
+        var start = text.StartsWith("<~") ? 2 : 0;
+        foreach (var c in text.Skip(start))
+        {
+            if (c == '~') break;
+            if (char.IsWhiteSpace(c)) continue;
+            if (c == 'z' && group.Count == 0) { output.AddRange(new byte[4]); continue; }
+            if (c < '!' || c > 'u') continue;
+            group.Add(c - '!');
+            if (group.Count == 5) { AddAscii85Group(output, group, 4); group.Clear(); }
+        }
+        if (group.Count > 1)
+        {
+            var used = group.Count - 1;
+            while (group.Count < 5) group.Add(84);
+            AddAscii85Group(output, group, used);
+        }
+        return output.ToArray();
+    }
+
+    private static void AddAscii85Group(List<byte> output, List<int> group, int bytes)
+    {
+        long value = 0;
+        foreach (var digit in group) value = value * 85 + digit;
+        for (var i = 0; i < bytes; i++) output.Add((byte)(value >> (24 - 8 * i)));
+    }
+
+    // ---------------- Fonts ----------------
+
+    private PdfFont GetFont(object? fontRef)
+    {
+        var key = fontRef is PdfReference r ? r.Number : -1;
+        if (key >= 0 && _fonts.TryGetValue(key, out var cached)) return cached;
+        var font = new PdfFont();
+        if (Resolve(fontRef) is Dictionary<string, object?> dict)
+        {
+            font.IsComposite = NameOf(dict.GetValueOrDefault("Subtype")) == "Type0";
+            if (Resolve(dict.GetValueOrDefault("ToUnicode")) is PdfStream toUnicode && Decode(toUnicode) is { } cmap)
+                font.LoadToUnicode(cmap);
+            if (!font.IsComposite)
+                font.LoadEncoding(Resolve(dict.GetValueOrDefault("Encoding")), Resolve);
+        }
+        if (key >= 0) _fonts[key] = font;
+        return font;
+    }
+
+    // ---------------- Content streams ----------------
+
+    /// <summary>Interprets the text operators of a content stream, turning line moves into newlines and wide gaps into spaces.</summary>
+    private class ContentReader
+    {
+        private readonly PdfTextReader _reader;
+        private readonly StringBuilder _output;
+        private PdfFont _font = new();
+        private double? _lineY;
+
+        public ContentReader(PdfTextReader reader, StringBuilder output)
+        {
+            _reader = reader;
+            _output = output;
+        }
+
+        public void Run(byte[] data, Dictionary<string, object?>? resources, int depth)
+        {
+            var fonts = _reader.Resolve(resources?.GetValueOrDefault("Font")) as Dictionary<string, object?>;
+            var xObjects = _reader.Resolve(resources?.GetValueOrDefault("XObject")) as Dictionary<string, object?>;
+            var lexer = new PdfLexer(data, 0, allowReferences: false);
+            var operands = new List<object?>();
+
+            while (true)
+            {
+                object? token;
+                try
+                {
+                    token = lexer.ReadObject();
+                }
+                catch (Exception ex) when (ex is not DocumentExtractionException)
+                {
+                    break; // malformed tail: keep what was read so far
+                }
+                if (token is PdfEndOfData) break;
+                if (token is not PdfOperator op)
+                {
+                    operands.Add(token);
+                    continue;
+                }
+
+                switch (op.Name)
+                {
+                    case "BI":
+                        lexer.SkipInlineImage();
+                        break;
+                    case "Tf" when operands.Count >= 2 && operands[0] is PdfName fontName:
+                        _font = _reader.GetFont(fonts?.GetValueOrDefault(fontName.Value));
+                        break;
+                    case "Td" or "TD" when operands.Count >= 2:
+                        MoveBy(Number(operands[0]), Number(operands[1]));
+                        break;
+                    case "Tm" when operands.Count >= 6:
+                        MoveTo(Number(operands[5]));
+                        break;
+                    case "T*":
+                        NewLine();
+                        break;
+                    case "Tj" when operands.Count >= 1:
+                        Show(operands[^1]);
+                        break;
+                    case "'" when operands.Count >= 1:
+                    case "\"" when operands.Count >= 1:
+                        NewLine();
+                        Show(operands[^1]);
+                        break;
+                    case "TJ" when operands.Count >= 1 && operands[^1] is List<object?> parts:
+                        foreach (var part in parts)
+                        {
+                            // Offsets are thousandths of an em: kerning stays within about 100, word gaps go beyond
+                            if (part is double offset && offset < -120) Space();
+                            else Show(part);
+                        }
+                        break;
+                    case "Do" when operands.Count >= 1 && operands[0] is PdfName xName && depth < MaxFormDepth:
+                        if (_reader.Resolve(xObjects?.GetValueOrDefault(xName.Value)) is PdfStream form
+                            && NameOf(form.Dictionary.GetValueOrDefault("Subtype")) == "Form"
+                            && _reader.Decode(form) is { } formData)
+                        {
+                            var formResources = _reader.Resolve(form.Dictionary.GetValueOrDefault("Resources")) as Dictionary<string, object?>;
+                            Run(formData, formResources ?? resources, depth + 1);
+                        }
+                        break;
+                }
+                operands.Clear();
+            }
+        }
+
+        private static double Number(object? value) => value is double d ? d : 0;
+
+        private void Show(object? value)
+        {
+            if (value is PdfString s) _output.Append(_font.Decode(s.Bytes));
+        }
+
+        private void Space()
+        {
+            if (_output.Length > 0 && !char.IsWhiteSpace(_output[^1])) _output.Append(' ');
+        }
+
+        private void NewLine()
+        {
+            if (_output.Length > 0 && _output[^1] != '\n') _output.Append('\n');
+        }
+
+        private void MoveBy(double tx, double ty)
+        {
+            if (Math.Abs(ty) > 0.01) NewLine();
+            else if (tx > 0) Space();
+            if (_lineY.HasValue) _lineY += ty;
+        }
+
+        private void MoveTo(double y)
+        {
+            if (_lineY.HasValue && Math.Abs(y - _lineY.Value) > 1) NewLine();
+            else Space();
+            _lineY = y;
+        }
+    }
+
+    // ---------------- Lexer ----------------
+
+    private record PdfName(string Value);
+    private record PdfReference(int Number);
+    private record PdfOperator(string Name);
+    private record PdfEndOfData;
+    private record PdfStream(Dictionary<string, object?> Dictionary, byte[] Data);
+    private class PdfString
+    {
+        public byte[] Bytes { get; init; } = Array.Empty<byte>();
+    }
+
+    /// <summary>Tokenizer for both object syntax and content streams; numbers are doubles, strings keep their raw bytes.</summary>
+    private class PdfLexer
+    {
+        private readonly byte[] _data;
+        private readonly bool _allowReferences;
+        private int _depth;
+
+        public int Position { get; private set; }
+
+        public PdfLexer(byte[] data, int position, bool allowReferences)
+        {
+            _data = data;
+            Position = position;
+            _allowReferences = allowReferences;
+        }
+
+        public static bool IsWhitespace(byte b) => b is 0 or 9 or 10 or 12 or 13 or 32;
+        private static bool IsDelimiter(byte b) => b is (byte)'(' or (byte)')' or (byte)'<' or (byte)'>' or (byte)'[' or (byte)']' or (byte)'{' or (byte)'}' or (byte)'/' or (byte)'%';
+
+        private void SkipWhitespace()
+        {
+            while (Position < _data.Length)
+            {
+                var b = _data[Position];
+                if (b == '%')
+                {
+                    while (Position < _data.Length && _data[Position] != '\n' && _data[Position] != '\r') Position++;
+                }
+                else if (IsWhitespace(b)) Position++;
+                else break;
+            }
+        }
+
+        private string ReadRegular()
+        {
+            var start = Position;
+            while (Position < _data.Length && !IsWhitespace(_data[Position]) && !IsDelimiter(_data[Position])) Position++;
+            return Encoding.Latin1.GetString(_data, start, Position - start);
+        }
+
+        public bool TryReadStreamStart()
+        {
+            SkipWhitespace();
+            if (!_data.AsSpan(Position).StartsWith("stream"u8)) return false;
+            Position += 6;
+            if (Position < _data.Length && _data[Position] == '\r') Position++;
+            if (Position < _data.Length && _data[Position] == '\n') Position++;
+            return true;
+        }
+
+        public object? ReadObject()
+        {
+            SkipWhitespace();
+            if (Position >= _data.Length) return new PdfEndOfData();
+            var b = _data[Position];
+
+            if (b == '<' && Position + 1 < _data.Length && _data[Position + 1] == '<')
+            {
+                Position += 2;
+                Enter();
+                var dict = new Dictionary<string, object?>();
+                while (true)
+                {
+                    SkipWhitespace();
+                    if (Position >= _data.Length) break;
+                    if (_data[Position] == '>' && Position + 1 < _data.Length && _data[Position + 1] == '>') { Position += 2; break; }
+                    if (ReadObject() is not PdfName key) continue; // tolerate junk between entries
+                    dict[key.Value] = ReadObject();
+                }
+                _depth--;
+                return dict;
+            }
+            if (b == '<')
+            {
+                var end = Array.IndexOf(_data, (byte)'>', Position);
+                if (end < 0) end = _data.Length;
+                var hex = Encoding.Latin1.GetString(_data, Position + 1, end - Position - 1);
+                Position = Math.Min(end + 1, _data.Length);
+                return new PdfString { Bytes = DecodeHex(hex) };
+            }
+            if (b == '[')
+            {
+                Position++;
+                Enter();
+                var list = new List<object?>();
+                while (true)
+                {
+                    SkipWhitespace();
+                    if (Position >= _data.Length) break;
+                    if (_data[Position] == ']') { Position++; break; }
+                    var item = ReadObject();
+                    if (item is PdfEndOfData) break;
+                    list.Add(item);
+                }
+                _depth--;
+                return list;
+            }
+            if (b == '(') return ReadLiteralString();
+            if (b == '/')
+            {
+                Position++;
+                var raw = ReadRegular();
+                return new PdfName(Regex.Replace(raw, "#([0-9A-Fa-f]{2})", m => ((char)Convert.ToInt32(m.Groups[1].Value, 16)).ToString()));
+            }
+            if (b is (byte)')' or (byte)'>' or (byte)']' or (byte)'{' or (byte)'}')
+            {
+                Position++;
+                return new PdfOperator(((char)b).ToString());
+            }
+
+            var token = ReadRegular();
+            if (double.TryParse(token, NumberStyles.Float, CultureInfo.InvariantCulture, out var number))
+            {
+                if (_allowReferences && TryReadReferenceTail()) return new PdfReference((int)number);
+                return number;
+            }
+            return token switch
+            {
+                "true" => true,
+                "false" => false,
+                "null" => null,
+                _ => new PdfOperator(token)
+            };
+        }
+
+        // Arrays and dictionaries nest by recursion, so a run of "[[[[..." must stop before the stack does
+        private void Enter()
+        {
+            if (++_depth > MaxNestingDepth) throw TooComplex();
+        }
+
+        // After a number, "<generation> R" makes it an indirect reference
+        private bool TryReadReferenceTail()
+        {
+            var saved = Position;
+            SkipWhitespace();
+            var generation = ReadRegular();
+            SkipWhitespace();
+            if (generation.Length > 0 && generation.All(char.IsDigit) && Position < _data.Length && _data[Position] == 'R'
+                && (Position + 1 >= _data.Length || IsWhitespace(_data[Position + 1]) || IsDelimiter(_data[Position + 1])))
+            {
+                Position++;
+                return true;
+            }
+            Position = saved;
+            return false;
+        }
+
+        private PdfString ReadLiteralString()
+        {
+            Position++;
+            var bytes = new List<byte>();
+            var depth = 1;
+            while (Position < _data.Length)
+            {
+                var b = _data[Position++];
+                if (b == '\\' && Position < _data.Length)
+                {
+                    var e = _data[Position++];
+                    switch (e)
+                    {
+                        case (byte)'n': bytes.Add((byte)'\n'); break;
+                        case (byte)'r': bytes.Add((byte)'\r'); break;
+                        case (byte)'t': bytes.Add((byte)'\t'); break;
+                        case (byte)'b': bytes.Add(8); break;
+                        case (byte)'f': bytes.Add(12); break;
+                        case (byte)'\r':
+                            if (Position < _data.Length && _data[Position] == '\n') Position++;
+                            break; // line continuation
+                        case (byte)'\n': break;
+                        case >= (byte)'0' and <= (byte)'7':
+                            var value = e - '0';
+                            for (var i = 0; i < 2 && Position < _data.Length && _data[Position] >= '0' && _data[Position] <= '7'; i++)
+                                value = value * 8 + (_data[Position++] - '0');
+                            bytes.Add((byte)value);
+                            break;
+                        default: bytes.Add(e); break;
+                    }
+                    continue;
+                }
+                if (b == '(') depth++;
+                else if (b == ')' && --depth == 0) break;
+                bytes.Add(b);
+            }
+            return new PdfString { Bytes = bytes.ToArray() };
+        }
+
+        public static byte[] DecodeHex(string hex)
+        {
+            var digits = new string(hex.Where(Uri.IsHexDigit).ToArray());
+            if (digits.Length % 2 == 1) digits += "0";
+            return Convert.FromHexString(digits);
+        }
+
+        // Inline image data (BI ... ID <binary> EI) would otherwise be read as garbage operators
+        public void SkipInlineImage()
+        {
+            var id = IndexOf(_data, "ID"u8, Position);
+            if (id < 0) { Position = _data.Length; return; }
+            var search = id + 3;
+            while (true)
+            {
+                var ei = IndexOf(_data, "EI"u8, search);
+                if (ei < 0) { Position = _data.Length; return; }
+                var before = _data[ei - 1];
+                var after = ei + 2 < _data.Length ? _data[ei + 2] : (byte)' ';
+                if (IsWhitespace(before) && (IsWhitespace(after) || IsDelimiter(after)))
+                {
+                    Position = ei + 2;
+                    return;
+                }
+                search = ei + 2;
+            }
+        }
+    }
+
+    // ---------------- Font decoding ----------------
+
+    /// <summary>Maps character codes to Unicode through a ToUnicode CMap, falling back to the font's simple encoding.</summary>
+    private class PdfFont
+    {
+        private const string WinAnsiHigh = "€\0‚ƒ„…†‡ˆ‰Š‹Œ\0Ž\0\0‘’“”•–—˜™š›œ\0žŸ";
+        private const string MacRomanHigh =
+            "ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø" +
+            "¿¡¬√ƒ≈∆«»…\u00A0ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔ\uF8FFÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ";
+        private static readonly Dictionary<string, string> GlyphNames = new()
+        {
+            ["space"] = " ", ["exclam"] = "!", ["quotedbl"] = "\"", ["numbersign"] = "#", ["dollar"] = "$", ["percent"] = "%",
+            ["ampersand"] = "&", ["quotesingle"] = "'", ["parenleft"] = "(", ["parenright"] = ")", ["asterisk"] = "*", ["plus"] = "+",
+            ["comma"] = ",", ["hyphen"] = "-", ["minus"] = "−", ["period"] = ".", ["slash"] = "/", ["colon"] = ":", ["semicolon"] = ";",
+            ["less"] = "<", ["equal"] = "=", ["greater"] = ">", ["question"] = "?", ["at"] = "@", ["bracketleft"] = "[",
+            ["backslash"] = "\\", ["bracketright"] = "]", ["asciicircum"] = "^", ["underscore"] = "_", ["grave"] = "`",
+            ["braceleft"] = "{", ["bar"] = "|", ["braceright"] = "}", ["asciitilde"] = "~",
+            ["zero"] = "0", ["one"] = "1", ["two"] = "2", ["three"] = "3", ["four"] = "4",
+            ["five"] = "5", ["six"] = "6", ["seven"] = "7", ["eight"] = "8", ["nine"] = "9",
+            ["quoteleft"] = "‘", ["quoteright"] = "’", ["quotedblleft"] = "“", ["quotedblright"] = "”", ["quotesinglbase"] = "‚",
+            ["quotedblbase"] = "„", ["bullet"] = "•", ["endash"] = "–", ["emdash"] = "—", ["ellipsis"] = "…",
+            ["fi"] = "fi", ["fl"] = "fl", ["ff"] = "ff", ["ffi"] = "ffi", ["ffl"] = "ffl", ["dagger"] = "†", ["daggerdbl"] = "‡",
+            ["trademark"] = "™", ["copyright"] = "©", ["registered"] = "®", ["degree"] = "°", ["section"] = "§", ["paragraph"] = "¶",
+            ["germandbls"] = "ß", ["ae"] = "æ", ["AE"] = "Æ", ["oe"] = "œ", ["OE"] = "Œ", ["oslash"] = "ø", ["Oslash"] = "Ø",
+            ["dotlessi"] = "ı", ["Euro"] = "€", ["sterling"] = "£", ["yen"] = "¥", ["cent"] = "¢", ["nbspace"] = " ",
+            ["guillemotleft"] = "«", ["guillemotright"] = "»", ["periodcentered"] = "·", ["multiply"] = "×", ["divide"] = "÷"
+        };
+        private static readonly Dictionary<string, char> Accents = new()
+        {
+            ["acute"] = '\u0301', ["grave"] = '\u0300', ["circumflex"] = '\u0302', ["dieresis"] = '\u0308',
+            ["tilde"] = '\u0303', ["ring"] = '\u030A', ["cedilla"] = '\u0327', ["caron"] = '\u030C'
+        };
+
+        private readonly Dictionary<int, string> _toUnicode = new();
+        private int _codeBytes = 2; // composite fonts only; simple fonts always use one byte per code
+        private string?[]? _encoding;
+
+        public bool IsComposite { get; set; }
+
+        public void LoadToUnicode(byte[] cmap)
+        {
+            var text = Encoding.Latin1.GetString(cmap);
+            var codespace = Regex.Match(text, @"begincodespacerange\s*<([0-9A-Fa-f]+)>");
+            if (codespace.Success) _codeBytes = codespace.Groups[1].Value.Length <= 2 ? 1 : 2;
+            foreach (Match block in Regex.Matches(text, @"beginbfchar(.*?)endbfchar", RegexOptions.Singleline))
+            {
+                foreach (Match m in Regex.Matches(block.Groups[1].Value, @"<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>"))
+                {
+                    _toUnicode[Convert.ToInt32(m.Groups[1].Value, 16)] = Utf16(m.Groups[2].Value);
+                }
+            }
+            foreach (Match block in Regex.Matches(text, @"beginbfrange(.*?)endbfrange", RegexOptions.Singleline))
+            {
+                foreach (Match m in Regex.Matches(block.Groups[1].Value, @"<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(<[0-9A-Fa-f]*>|\[[^\]]*\])"))
+                {
+                    var lo = Convert.ToInt32(m.Groups[1].Value, 16);
+                    var hi = Math.Min(Convert.ToInt32(m.Groups[2].Value, 16), lo + 0xFFFF);
+                    var target = m.Groups[3].Value;
+                    if (target.StartsWith('['))
+                    {
+                        var items = Regex.Matches(target, @"<([0-9A-Fa-f]*)>");
+                        for (var i = 0; i < items.Count && lo + i <= hi; i++) _toUnicode[lo + i] = Utf16(items[i].Groups[1].Value);
+                    }
+                    else
+                    {
+                        var start = Utf16(target.Trim('<', '>'));
+                        if (start.Length == 0) continue;
+                        var prefix = start[..^1];
+                        for (var code = lo; code <= hi; code++) _toUnicode[code] = prefix + (char)(start[^1] + (code - lo));
+                    }
+                }
+            }
+        }
+
+        private static string Utf16(string hex)
+        {
+            var bytes = PdfLexer.DecodeHex(hex);
+            return bytes.Length == 1 ? ((char)bytes[0]).ToString() : Encoding.BigEndianUnicode.GetString(bytes);
+        }
+
+        public void LoadEncoding(object? encoding, Func<object?, object?> resolve)
+        {
+            var baseName = encoding is PdfName n ? n.Value
+                : encoding is Dictionary<string, object?> d && resolve(d.GetValueOrDefault("BaseEncoding")) is PdfName b ? b.Value
+                : null;
+            _encoding = new string?[256];
+            for (var code = 0; code < 256; code++) _encoding[code] = BaseChar(baseName, code);
+
+            if (encoding is Dictionary<string, object?> dict && resolve(dict.GetValueOrDefault("Differences")) is List<object?> differences)
+            {
+                var code = 0;
+                foreach (var item in differences)
+                {
+                    if (item is double d2) code = (int)d2;
+                    else if (item is PdfName glyph && code is >= 0 and < 256) _encoding[code++] = GlyphToUnicode(glyph.Value);
+                }
+            }
+        }
+
+        private static string? BaseChar(string? encoding, int code)
+        {
+            if (code < 0x80) return code < 0x20 ? null : ((char)code).ToString();
+            if (encoding == "MacRomanEncoding") return MacRomanHigh[code - 0x80].ToString();
+            if (code < 0xA0) return WinAnsiHigh[code - 0x80] == '\0' ? null : WinAnsiHigh[code - 0x80].ToString();
+            return ((char)code).ToString();
+        }
+
+        private static string? GlyphToUnicode(string name)
+        {
+            name = name.Split('.')[0]; // "a.sc", "one.oldstyle"
+            if (GlyphNames.TryGetValue(name, out var mapped)) return mapped;
+            if (name.Length == 1) return name;
+            var uni = Regex.Match(name, "^(?:uni|u)([0-9A-Fa-f]{4,6})$");
+            if (uni.Success) return char.ConvertFromUtf32(Convert.ToInt32(uni.Groups[1].Value, 16));
+            foreach (var (suffix, mark) in Accents)
+            {
+                if (name.Length == suffix.Length + 1 && name.EndsWith(suffix))
+                    return (name[0] + mark.ToString()).Normalize(NormalizationForm.FormC);
+            }
+            return null;
+        }
+
+        public string Decode(byte[] bytes)
+        {
+            var sb = new StringBuilder();
+            var step = IsComposite ? _codeBytes : 1;
+            for (var i = 0; i + step <= bytes.Length; i += step)
+            {
+                var code = step == 2 ? (bytes[i] << 8) | bytes[i + 1] : bytes[i];
+                if (_toUnicode.TryGetValue(code, out var text)) sb.Append(text);
+                else if (step == 1 && BaseFallback(code) is { } c) sb.Append(c);
+                // composite-font codes without a ToUnicode entry are glyph ids with no known character
+            }
+            return sb.ToString();
+        }
+
+        private string? BaseFallback(int code) => _encoding != null ? _encoding[code] : BaseChar(null, code);
+    }
+}
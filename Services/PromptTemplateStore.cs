@@ -0,0 +1,133 @@
+using System.Text.Json;
+
+namespace FoundryWebUI.Services;
+
+/// <summary>Reusable user message with <c>{{variable}}</c> placeholders that the chat asks for before sending.</summary>
+public class PromptTemplate
+{
+    public string Id { get; set; } = Guid.NewGuid().ToString("N")[..8];
+    public string Name { get; set; } = string.Empty;
+    public string Content { get; set; } = string.Empty;
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+}
+
+public class PromptTemplateStore
+{
+    private readonly string _filePath;
+    private readonly ILogger<PromptTemplateStore> _logger;
+    private List<PromptTemplate> _templates = new();
+    private readonly object _lock = new();
+    private static readonly JsonSerializerOptions _jsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+    };
+
+    public PromptTemplateStore(IWebHostEnvironment env, ILogger<PromptTemplateStore> logger)
+    {
+        _logger = logger;
+        _filePath = Path.Combine(env.ContentRootPath, "prompt-templates.json");
+        Load();
+    }
+
+    private void Load()
+    {
+        lock (_lock)
+        {
+            if (File.Exists(_filePath))
+            {
+                try
+                {
+                    var json = File.ReadAllText(_filePath);
+                    _templates = JsonSerializer.Deserialize<List<PromptTemplate>>(json, _jsonOptions) ?? new();
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Failed to load prompt templates from {Path}", _filePath);
+                    _templates = new();
+                }
+                return;
+            }
+
+            // First run: start with a few examples (deleting them later sticks)
+            _templates.Add(new PromptTemplate
+            {
+                Id = "translate",
+                Name = "Translate",
+                Content = "Translate the following text into {{language}}. Keep the formatting and reply with the translation only.\n\n{{text}}"
+            });
+            _templates.Add(new PromptTemplate
+            {
+                Id = "explain-code",
+                Name = "Explain Code",
+                Content = "Explain what this {{language}} code does, step by step, and point out any bugs.\n\n```{{language}}\n{{code}}\n```"
+            });
+            _templates.Add(new PromptTemplate
+            {
+                Id = "summarize",
+                Name = "Summarize",
+                Content = "Summarize the following in {{length}} for {{audience}}.\n\n{{text}}"
+            });
+            Save();
+        }
+    }
+
+    private void Save()
+    {
+        try
+        {
+            var json = JsonSerializer.Serialize(_templates, _jsonOptions);
+            File.WriteAllText(_filePath, json);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save prompt templates to {Path}", _filePath);
+        }
+    }
+
+    public List<PromptTemplate> GetAll()
+    {
+        lock (_lock) { return _templates.ToList(); }
+    }
+
+    public PromptTemplate? GetById(string id)
+    {
+        lock (_lock) { return _templates.FirstOrDefault(t => t.Id == id); }
+    }
+
+    public PromptTemplate Add(string name, string content)
+    {
+        lock (_lock)
+        {
+            var template = new PromptTemplate { Name = name, Content = content };
+            _templates.Add(template);
+            Save();
+            return template;
+        }
+    }
+
+    public PromptTemplate? Update(string id, string name, string content)
+    {
+        lock (_lock)
+        {
+            var template = _templates.FirstOrDefault(t => t.Id == id);
+            if (template == null) return null;
+            template.Name = name;
+            template.Content = content;
+            template.UpdatedAt = DateTime.UtcNow;
+            Save();
+            return template;
+        }
+    }
+
+    public bool Delete(string id)
+    {
+        lock (_lock)
+        {
+            var removed = _templates.RemoveAll(t => t.Id == id) > 0;
+            if (removed) Save();
+            return removed;
+        }
+    }
+}
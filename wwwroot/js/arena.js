@@ -0,0 +1,64 @@
+// arena.js - Arena page: Elo leaderboard from blind A/B votes
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+async function loadLeaderboard() {
+    const body = document.getElementById('leaderboard-body');
+    try {
+        const res = await fetch('/api/arena/leaderboard');
+        if (!res.ok) {
+            body.innerHTML = `<tr><td colspan="8" class="text-center text-danger py-3">Error loading leaderboard: HTTP ${res.status}</td></tr>`;
+            return;
+        }
+        const data = await res.json();
+        document.getElementById('initial-rating').textContent = data.initialRating;
+        document.getElementById('total-votes').textContent = `${data.totalVotes} vote${data.totalVotes === 1 ? '' : 's'} so far.`;
+
+        if (data.ratings.length === 0) {
+            body.innerHTML = '<tr><td colspan="8" class="text-center text-muted py-3">No votes yet -- open the Chat page, switch to 🥊 Arena and vote on a few rounds.</td></tr>';
+            return;
+        }
+
+        const medals = ['🥇', '🥈', '🥉'];
+        body.innerHTML = data.ratings.map((r, i) => {
+            const winRate = r.games > 0 ? Math.round((r.wins + r.ties / 2) / r.games * 100) : 0;
+            return `
+                <tr>
+                    <td class="ps-3">${medals[i] || i + 1}</td>
+                    <td class="text-break">${escapeHtml(r.model)}</td>
+                    <td class="text-end fw-bold">${r.rating.toFixed(0)}</td>
+                    <td class="text-end">${r.games}</td>
+                    <td class="text-end text-success">${r.wins}</td>
+                    <td class="text-end text-danger">${r.losses}</td>
+                    <td class="text-end text-muted">${r.ties}</td>
+                    <td class="text-end pe-3">${winRate}%</td>
+                </tr>`;
+        }).join('');
+    } catch (err) {
+        body.innerHTML = `<tr><td colspan="8" class="text-center text-danger py-3">Error: ${escapeHtml(err.message)}</td></tr>`;
+    }
+}
+
+async function clearVotes() {
+    if (!confirm('Delete all arena votes? The leaderboard will start over.')) return;
+    try {
+        const res = await fetch('/api/arena/votes', { method: 'DELETE' });
+        if (!res.ok) {
+            const err = await res.json().catch(() => ({}));
+            alert(err.error || 'Failed to clear votes.');
+            return;
+        }
+        await loadLeaderboard();
+    } catch (err) {
+        alert(`Error: ${err.message}`);
+    }
+}
+
+document.getElementById('btn-refresh-leaderboard').addEventListener('click', loadLeaderboard);
+document.getElementById('btn-clear-votes').addEventListener('click', clearVotes);
+
+loadLeaderboard();
@@ -0,0 +1,172 @@
+// chat-attachments.js - Text files attached to the next message. Files are read in the browser, listed as chips
+// above the composer and inlined into the message content between BEGIN/END FILE lines, so the model sees them
+// as plain text and saved chats need no extra storage. The chips on sent messages are parsed back out of the content.
+// PDF and Word files are converted to text by /api/extract first.
+const chatAttachments = (() => {
+    const MAX_FILE_BYTES = 2 * 1024 * 1024;
+    const MAX_DOCUMENT_BYTES = 30 * 1024 * 1024; // DocumentTextExtractor.MaxUploadBytes
+    const DOCUMENT_EXTENSIONS = new Set(['pdf', 'docx']);
+    const MAX_FILES = 10;
+    const TEXT_EXTENSIONS = new Set([
+        'txt', 'text', 'md', 'markdown', 'rst', 'tex', 'log', 'out', 'csv', 'tsv',
+        'json', 'jsonl', 'ndjson', 'xml', 'yaml', 'yml', 'toml', 'ini', 'cfg', 'conf', 'env', 'properties',
+        'html', 'htm', 'css', 'scss', 'less', 'svg',
+        'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'vue', 'svelte',
+        'py', 'rb', 'go', 'rs', 'java', 'kt', 'kts', 'scala', 'swift', 'dart', 'php', 'pl', 'lua', 'r',
+        'c', 'h', 'cc', 'cpp', 'cxx', 'hpp', 'cs', 'csx', 'fs', 'fsx', 'vb', 'razor', 'cshtml', 'csproj', 'sln', 'props',
+        'sql', 'graphql', 'proto', 'sh', 'bash', 'zsh', 'ps1', 'psm1', 'bat', 'cmd', 'diff', 'patch'
+    ]);
+    const TEXT_FILE_NAMES = new Set(['dockerfile', 'makefile', 'readme', 'license', '.gitignore', '.editorconfig', '.env']);
+
+    const btnAttach = document.getElementById('btn-attach');
+    const fileInput = document.getElementById('attach-file');
+    const chipsEl = document.getElementById('attachment-chips');
+
+    let pending = []; // { name, content } waiting to go out with the next message
+
+    function extensionOf(name) {
+        const m = /\.([^.]+)$/.exec(name);
+        return m ? m[1].toLowerCase() : '';
+    }
+
+    function isTextFile(file) {
+        if (file.type.startsWith('text/')) return true;
+        if (/^application\/(json|xml|javascript|x-sh|sql|(x-)?yaml|toml)/.test(file.type)) return true;
+        return TEXT_EXTENSIONS.has(extensionOf(file.name)) || TEXT_FILE_NAMES.has(file.name.toLowerCase());
+    }
+
+    function isDocumentFile(file) {
+        return DOCUMENT_EXTENSIONS.has(extensionOf(file.name));
+    }
+
+    // Server-side text extraction for PDF / DOCX; page markers come back inline
+    async function extractText(file) {
+        const form = new FormData();
+        form.append('file', file);
+        const res = await fetch('/api/extract', { method: 'POST', body: form });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        return data.text;
+    }
+
+    function formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    function byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    function fileBlock(file) {
+        return `=== BEGIN FILE: ${file.name} ===\n${file.content}\n=== END FILE: ${file.name} ===`;
+    }
+
+    // Message content: the typed text first, then each file between its delimiter lines
+    function compose(text, files = pending) {
+        return [text, ...files.map(fileBlock)].filter(Boolean).join('\n\n');
+    }
+
+    const BLOCK_PATTERN = /(?:^|\n\n)=== BEGIN FILE: (.+) ===\n([\s\S]*?)\n=== END FILE: \1 ===(?=\n\n|$)/g;
+
+    // Inverse of compose: { text, files: [{ name, content }] }
+    function split(content) {
+        const files = [];
+        const text = (content || '').replace(BLOCK_PATTERN, (_, name, body) => {
+            files.push({ name, content: body });
+            return '';
+        });
+        return { text: text.trim(), files };
+    }
+
+    function chipHtml(file, removeIndex = null) {
+        const esc = markdown.escapeHtml;
+        const info = `${formatSize(byteLength(file.content))} · ~${estimateTokens(file.content).toLocaleString()} tokens`;
+        const remove = removeIndex === null
+            ? ''
+            : `<button type="button" class="btn-close btn-close-white ms-1" data-remove-attachment="${removeIndex}" aria-label="Remove"></button>`;
+        return `<span class="attachment-chip badge d-inline-flex align-items-center" title="${esc(file.name)} (${info})">
+                    📄 <span class="text-truncate mx-1">${esc(file.name)}</span><span class="opacity-75">${info}</span>${remove}
+                </span>`;
+    }
+
+    function renderChips() {
+        chipsEl.innerHTML = pending.map((f, i) => chipHtml(f, i)).join('');
+        chipsEl.classList.toggle('d-none', pending.length === 0);
+        updateContextMeter();
+    }
+
+    // Reads the files and queues the text ones; anything binary, oversized, unreadable or larger than
+    // the model's whole context window is reported in one alert
+    async function addFiles(fileList) {
+        const problems = [];
+        const limit = contextLengthFor(modelSelect.value);
+        btnAttach.disabled = true;
+        btnAttach.textContent = '⏳';
+        for (const file of Array.from(fileList)) {
+            if (pending.length >= MAX_FILES) {
+                problems.push(`${file.name}: at most ${MAX_FILES} files per message`);
+                continue;
+            }
+            const isDocument = isDocumentFile(file);
+            if (!isDocument && !isTextFile(file)) {
+                problems.push(`${file.name}: only text files (code, Markdown, CSV, JSON, logs...), PDF and Word documents can be attached`);
+                continue;
+            }
+            const maxBytes = isDocument ? MAX_DOCUMENT_BYTES : MAX_FILE_BYTES;
+            if (file.size > maxBytes) {
+                problems.push(`${file.name}: ${formatSize(file.size)} is over the ${formatSize(maxBytes)} limit`);
+                continue;
+            }
+            let content;
+            try {
+                content = (isDocument ? await extractText(file) : await file.text()).replace(/\r\n/g, '\n');
+            } catch (err) {
+                problems.push(`${file.name}: ${err.message}`);
+                continue;
+            }
+            if (content.includes('\u0000')) {
+                problems.push(`${file.name}: looks like a binary file`);
+                continue;
+            }
+            const tokens = estimateTokens(content);
+            if (tokens > limit) {
+                problems.push(`${file.name}: ~${tokens.toLocaleString()} tokens will not fit the model's ${limit.toLocaleString()}-token context window`);
+                continue;
+            }
+            pending = pending.filter(f => f.name !== file.name).concat({ name: file.name, content });
+        }
+        btnAttach.disabled = false;
+        btnAttach.textContent = '📎';
+        renderChips();
+        if (problems.length > 0) alert(`Some files were not attached:\n\n${problems.join('\n')}`);
+    }
+
+    function remove(index) {
+        pending.splice(index, 1);
+        renderChips();
+    }
+
+    function clear() {
+        pending = [];
+        renderChips();
+    }
+
+    function hasPending() {
+        return pending.length > 0;
+    }
+
+    btnAttach.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const files = Array.from(fileInput.files);
+        fileInput.value = ''; // allow picking the same file again
+        if (files.length > 0) addFiles(files);
+    });
+    chipsEl.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-attachment]');
+        if (button) remove(parseInt(button.dataset.removeAttachment));
+    });
+
+    return { addFiles, clear, hasPending, compose, split, chipHtml };
+})();
@@ -0,0 +1,207 @@
+// chat-commands.js - Slash commands typed into the chat input (/model, /prompt, /temp, /clear, /export, /retry).
+// Typing "/" opens a popup listing the commands, then the values an argument can take (model ids from the model
+// selector, prompt names from the system prompt selector); ↑/↓ pick, Tab or Enter complete, Esc closes.
+// sendMessage() hands the input to run() first, so a command never goes out as a message.
+const chatCommands = (() => {
+    const input = document.getElementById('chat-input');
+    const menu = document.getElementById('command-menu');
+
+    const COMMANDS = [
+        {
+            name: 'model',
+            args: '<model id>',
+            description: 'Switch to a loaded model',
+            options: loadedModels,
+            run: setModel
+        },
+        {
+            name: 'prompt',
+            args: '<name>',
+            description: 'Use a saved system prompt, or "none"',
+            options: () => [{ value: 'none', hint: 'No system prompt' }, ...savedPrompts()],
+            run: setPrompt
+        },
+        {
+            name: 'temp',
+            args: '<0-2>',
+            description: 'Set the temperature',
+            options: () => ['0', '0.2', '0.7', '1', '1.5'].map(value => ({ value })),
+            run: setTemperature
+        },
+        { name: 'clear', description: 'Start a new chat', run: () => startNewChat() },
+        {
+            name: 'export',
+            args: 'md | json | html',
+            description: 'Download this chat',
+            options: () => [{ value: 'md', hint: 'Markdown' }, { value: 'json', hint: 'JSON, re-importable' }, { value: 'html', hint: 'Standalone HTML' }],
+            run: (format) => {
+                if (!['md', 'json', 'html'].includes(format)) throw new Error('Usage: /export md | json | html');
+                exportConversation(format);
+            }
+        },
+        { name: 'retry', description: 'Regenerate the last reply', run: retry }
+    ];
+
+    let items = []; // suggestions in the popup: { completion, label, hint }
+    let active = 0;
+
+    // ---------------- Commands ----------------
+
+    function loadedModels() {
+        return Array.from(modelSelect.options).filter(o => o.value).map(o => ({ value: o.value, hint: o.textContent }));
+    }
+
+    function savedPrompts() {
+        return Array.from(promptSelect.options).filter(o => o.value && o.value !== 'custom').map(o => ({ value: o.textContent, id: o.value }));
+    }
+
+    // Exact id, then exact display name, then a single partial match
+    function findOption(options, arg, what) {
+        const lower = arg.toLowerCase();
+        const exact = options.find(o => o.value.toLowerCase() === lower || (o.hint || '').toLowerCase() === lower);
+        if (exact) return exact;
+        const partial = options.filter(o => o.value.toLowerCase().includes(lower));
+        if (partial.length === 1) return partial[0];
+        throw new Error(partial.length === 0
+            ? `No ${what} matches "${arg}".`
+            : `"${arg}" matches several: ${partial.map(o => o.value).join(', ')}`);
+    }
+
+    function setModel(arg) {
+        if (!arg) throw new Error('Usage: /model <model id>');
+        modelSelect.value = findOption(loadedModels(), arg, 'loaded model').value;
+        modelSelect.dispatchEvent(new Event('change'));
+    }
+
+    function setPrompt(arg) {
+        if (!arg) throw new Error('Usage: /prompt <name>  (or /prompt none)');
+        promptSelect.value = arg.toLowerCase() === 'none' ? '' : findOption(savedPrompts(), arg, 'system prompt').id;
+        promptSelect.dispatchEvent(new Event('change'));
+    }
+
+    function setTemperature(arg) {
+        const value = parseFloat(arg);
+        if (!/^\d*\.?\d+$/.test(arg) || value > 2) throw new Error('Usage: /temp <0-2>, e.g. /temp 0.2');
+        const slider = document.getElementById('param-temperature');
+        slider.value = value;
+        slider.dispatchEvent(new Event('input')); // same path as dragging: label, saved values, preset check
+    }
+
+    function retry() {
+        const last = conversation[conversation.length - 1];
+        if (!last) throw new Error('Nothing to retry yet.');
+        if (last.role === 'assistant') regenerateLastResponse();
+        else requestCompletion();
+    }
+
+    function parse(text) {
+        const m = /^\/(\w+)(?:\s+([\s\S]*))?$/.exec(text);
+        if (!m) return null;
+        const command = COMMANDS.find(c => c.name === m[1].toLowerCase());
+        return command ? { command, arg: (m[2] || '').trim() } : null;
+    }
+
+    // Runs the input as a command; false when it isn't one (e.g. a path like /usr/bin), so it's sent as a message.
+    // Bad arguments are reported and the input is kept for fixing.
+    function run(text) {
+        const parsed = parse(text);
+        if (!parsed) return false;
+        hide();
+        try {
+            parsed.command.run(parsed.arg);
+        } catch (err) {
+            alert(err.message);
+            return true;
+        }
+        input.value = '';
+        updateContextMeter();
+        return true;
+    }
+
+    // ---------------- Autocomplete popup ----------------
+
+    function suggestionsFor(text) {
+        if (!text.startsWith('/') || text.includes('\n')) return [];
+        const space = text.indexOf(' ');
+        if (space === -1) {
+            const typed = text.slice(1).toLowerCase();
+            return COMMANDS.filter(c => c.name.startsWith(typed)).map(c => ({
+                completion: `/${c.name}${c.args ? ' ' : ''}`,
+                label: `/${c.name}${c.args ? ` ${c.args}` : ''}`,
+                hint: c.description
+            }));
+        }
+        const command = COMMANDS.find(c => c.name === text.slice(1, space).toLowerCase());
+        if (!command || !command.options) return [];
+        const typed = text.slice(space + 1).trim().toLowerCase();
+        return command.options()
+            .filter(o => o.value.toLowerCase().includes(typed) || (o.hint || '').toLowerCase().includes(typed))
+            .map(o => ({ completion: `/${command.name} ${o.value}`, label: o.value, hint: o.hint || '' }));
+    }
+
+    function render() {
+        menu.innerHTML = items.map((item, i) => `
+            <button type="button" class="list-group-item list-group-item-action py-1 ${i === active ? 'active' : ''}" data-command-index="${i}">
+                <span class="font-monospace">${escapeHtml(item.label)}</span>
+                ${item.hint ? `<span class="small opacity-75 ms-2">${escapeHtml(item.hint)}</span>` : ''}
+            </button>`).join('');
+        menu.classList.toggle('d-none', items.length === 0);
+        const current = menu.querySelector('.active');
+        if (current) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    function update() {
+        items = suggestionsFor(input.value);
+        active = Math.min(active, Math.max(0, items.length - 1));
+        render();
+    }
+
+    function hide() {
+        items = [];
+        menu.classList.add('d-none');
+    }
+
+    function isOpen() {
+        return items.length > 0;
+    }
+
+    function accept(index) {
+        input.value = items[index].completion;
+        input.focus();
+        active = 0;
+        update();
+    }
+
+    input.addEventListener('input', () => {
+        active = 0;
+        update();
+    });
+    input.addEventListener('blur', hide);
+
+    // Registered before chat.js's Enter-to-send handler, so completing a suggestion can stop it
+    input.addEventListener('keydown', (e) => {
+        if (!isOpen()) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            active = (active + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+            render();
+        } else if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && items[active].completion.trim() !== input.value.trim())) {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            accept(active);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            hide();
+        }
+    });
+
+    // mousedown so the input keeps focus (a click would blur it and close the menu first)
+    menu.addEventListener('mousedown', (e) => {
+        const button = e.target.closest('[data-command-index]');
+        if (!button) return;
+        e.preventDefault();
+        accept(parseInt(button.dataset.commandIndex));
+    });
+
+    return { run, hide };
+})();
@@ -0,0 +1,343 @@
+// chat-compare.js - Compare and arena modes: one prompt streamed to several models side by side
+//   compare -- two to four models picked by the user, named in each column
+//   arena   -- two random downloaded models shown as "Model A" / "Model B" until the user votes;
+//              votes go to /api/arena/votes and feed the leaderboard on the Arena page
+// Uses the chat page's system prompt and sampling parameters; each run stands alone (no history).
+const chatCompare = (() => {
+    const MIN_MODELS = 2;
+    const MAX_MODELS = 4;
+    const STORAGE_KEY = 'compare-models';
+
+    const view = document.getElementById('compare-view');
+    const modelPicker = document.getElementById('compare-models');
+    const promptEl = document.getElementById('compare-prompt');
+    const columnsEl = document.getElementById('compare-columns');
+    const btnCompare = document.getElementById('btn-compare');
+    const btnArena = document.getElementById('btn-arena');
+    const pickerRow = document.getElementById('compare-picker');
+    const arenaVoteEl = document.getElementById('arena-vote');
+
+    const EMPTY_TEXT = {
+        compare: 'Pick the models above, then send a prompt to stream it to all of them at once.',
+        arena: 'Send a prompt: two randomly chosen downloaded models answer anonymously. Vote for the better answer to reveal them.'
+    };
+
+    let mode = null; // null (normal chat), 'compare' or 'arena'
+    let columns = []; // { model, name, provider, content, usage, error, stopped, startedAt, firstTokenAt, endedAt, thinkingTimes, expanded }
+    let vote = null; // arena round: null until voted, then 'a' | 'b' | 'tie'
+    let frame = null;
+
+    function isActive() {
+        return mode !== null;
+    }
+
+    function savedSelection() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        } catch {
+            return [];
+        }
+    }
+
+    function selectedModels() {
+        return Array.from(modelPicker.querySelectorAll('input:checked')).map(input => input.value);
+    }
+
+    function renderModelPicker() {
+        const loaded = Array.from(modelSelect.options).filter(o => o.value);
+        let selected = savedSelection().filter(id => loaded.some(o => o.value === id));
+        if (selected.length === 0 && modelSelect.value) selected = [modelSelect.value];
+
+        if (loaded.length < MIN_MODELS) {
+            modelPicker.innerHTML = '<span class="text-muted">Load at least two models on the Models page to compare them.</span>';
+            return;
+        }
+        modelPicker.innerHTML = loaded.map((o, i) => `
+            <input type="checkbox" class="btn-check" id="compare-model-${i}" value="${escapeHtml(o.value)}" autocomplete="off" ${selected.includes(o.value) ? 'checked' : ''}>
+            <label class="btn btn-sm btn-outline-info" for="compare-model-${i}">${escapeHtml(o.textContent)}</label>
+        `).join('');
+        updatePickerLimit();
+    }
+
+    // At most MAX_MODELS can be ticked; the rest are disabled until one is unticked
+    function updatePickerLimit() {
+        const full = selectedModels().length >= MAX_MODELS;
+        modelPicker.querySelectorAll('input').forEach(input => {
+            input.disabled = full && !input.checked;
+        });
+    }
+
+    // Switches to `next` ('compare' / 'arena'), or back to the normal chat if it is already active
+    function toggle(next) {
+        if (abortController) return; // don't switch views mid-stream
+        mode = mode === next ? null : next;
+        view.classList.toggle('d-none', !mode);
+        chatMessages.classList.toggle('d-none', !!mode);
+        [[btnCompare, 'compare'], [btnArena, 'arena']].forEach(([btn, m]) => {
+            btn.classList.toggle('active', mode === m);
+            btn.setAttribute('aria-pressed', String(mode === m));
+        });
+        pickerRow.classList.toggle('d-none', mode !== 'compare');
+        chatInput.placeholder = mode
+            ? 'Type a prompt to send to every model... (Shift+Enter for new line)'
+            : 'Type your message... (Shift+Enter for new line)';
+
+        columns = [];
+        vote = null;
+        promptEl.textContent = '';
+        arenaVoteEl.innerHTML = '';
+        if (mode) columnsEl.innerHTML = `<div class="text-center text-muted w-100 mt-5">${EMPTY_TEXT[mode]}</div>`;
+        if (mode === 'compare') renderModelPicker();
+    }
+
+    function close() {
+        if (mode) toggle(mode);
+    }
+
+    // Two distinct downloaded models, in random order. The model selector lists every model in the Foundry
+    // cache (/api/models/loaded), whether or not it is in memory yet; a model that isn't gets loaded on first use.
+    function randomPair() {
+        const ids = Array.from(modelSelect.options)
+            .filter(o => o.value && (o.dataset.status === 'loaded' || o.dataset.status === 'downloaded'))
+            .map(o => o.value);
+        if (ids.length < 2) return null;
+        const a = Math.floor(Math.random() * ids.length);
+        let b = Math.floor(Math.random() * (ids.length - 1));
+        if (b >= a) b++;
+        return [ids[a], ids[b]];
+    }
+
+    // ---------------- Streaming ----------------
+
+    // Starts a comparison run; returns false (and leaves the prompt in place) if it can't start
+    function send(text) {
+        const models = mode === 'arena' ? randomPair() : selectedModels();
+        if (mode === 'arena' && !models) {
+            alert('The arena needs at least two downloaded models -- download more on the Models page.');
+            return false;
+        }
+        if (models.length < MIN_MODELS) {
+            alert(`Pick ${MIN_MODELS} to ${MAX_MODELS} models to compare.`);
+            return false;
+        }
+
+        const messages = [{ role: 'user', content: text }];
+        const sysPrompt = getSystemPromptContent();
+        if (sysPrompt) messages.unshift({ role: 'system', content: sysPrompt });
+
+        columns = models.map(id => {
+            const opt = Array.from(modelSelect.options).find(o => o.value === id);
+            return {
+                model: id,
+                name: opt ? opt.textContent : id,
+                provider: (opt && opt.dataset.provider) || 'foundry',
+                content: '',
+                usage: null,
+                error: null,
+                stopped: false,
+                startedAt: 0,
+                firstTokenAt: 0,
+                endedAt: 0,
+                expanded: new Map() // thinking block index -> open, as toggled by hand
+            };
+        });
+        vote = null;
+        promptEl.textContent = text;
+        promptEl.title = text;
+        renderColumns();
+        renderVoteBar();
+        run(messages);
+        return true;
+    }
+
+    async function run(messages) {
+        abortController = new AbortController();
+        setLoading(true);
+        const timer = setInterval(updateStats, 250); // keep the clocks ticking while waiting for tokens
+        await Promise.all(columns.map(col => streamColumn(col, messages, abortController.signal)));
+        clearInterval(timer);
+        renderColumnUpdates();
+        setLoading(false);
+        abortController = null;
+        renderVoteBar();
+    }
+
+    // ---------------- Arena voting ----------------
+
+    // Names stay hidden in the arena until the round has been voted on
+    function isBlind() {
+        return mode === 'arena' && vote === null;
+    }
+
+    function renderVoteBar() {
+        if (mode !== 'arena' || columns.length === 0) {
+            arenaVoteEl.innerHTML = '';
+            return;
+        }
+        if (abortController) {
+            arenaVoteEl.innerHTML = '';
+        } else if (vote !== null) {
+            const verdict = vote === 'tie' ? 'a tie' : `${columns[vote === 'a' ? 0 : 1].name} as the winner`;
+            arenaVoteEl.innerHTML = `<span class="text-muted">Vote recorded: ${escapeHtml(verdict)}. Send another prompt for a new pair, or see the <a href="/Arena">leaderboard</a>.</span>`;
+        } else if (columns.some(col => col.error || col.stopped || !col.content)) {
+            arenaVoteEl.innerHTML = '<span class="text-muted">This round can\'t be voted on because a model didn\'t finish. Send another prompt to try a new pair.</span>';
+            columns.forEach(col => { col.revealed = true; });
+            renderColumns();
+        } else {
+            arenaVoteEl.innerHTML = `
+                <span class="fw-bold me-1">Which answer is better?</span>
+                <button type="button" class="btn btn-sm btn-outline-info" data-arena-vote="a">👈 A is better</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-arena-vote="tie">🤝 Tie</button>
+                <button type="button" class="btn btn-sm btn-outline-info" data-arena-vote="b">B is better 👉</button>`;
+        }
+    }
+
+    async function castVote(winner) {
+        arenaVoteEl.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+        try {
+            const res = await fetch('/api/arena/votes', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ modelA: columns[0].model, modelB: columns[1].model, winner })
+            });
+            if (!res.ok) {
+                const err = await res.json().catch(() => ({}));
+                alert(err.error || 'Failed to record the vote.');
+                renderVoteBar();
+                return;
+            }
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+            renderVoteBar();
+            return;
+        }
+        vote = winner;
+        renderColumns();
+        renderVoteBar();
+    }
+
+    async function streamColumn(col, messages, signal) {
+        col.startedAt = performance.now();
+        const reasoning = reasoningStream();
+        const thinkingStarts = [];
+        try {
+            const res = await chatJobs.start(col.provider, { model: col.model, messages, stream: true, ...getRequestParameters() }, signal);
+            if (!res.ok) {
+                let errText = '';
+                try { errText = await res.text(); } catch {}
+                throw new Error(`HTTP ${res.status}: ${errText || res.statusText}`);
+            }
+            await readChatStream(res, data => {
+                if (data.content || data.reasoning) {
+                    if (!col.firstTokenAt) col.firstTokenAt = performance.now();
+                    col.content = reasoning.append(col.content, data);
+                    trackThinkingTimes(col, thinkingStarts, performance.now());
+                }
+                if (data.usage) col.usage = data.usage;
+                if (data.error) col.error = data.error;
+                scheduleRender();
+            });
+        } catch (err) {
+            if (err.name === 'AbortError') col.stopped = true;
+            else col.error = err.message;
+        }
+        col.content = reasoning.close(col.content);
+        col.endedAt = performance.now();
+        trackThinkingTimes(col, thinkingStarts, col.endedAt, true);
+        scheduleRender();
+    }
+
+    // ---------------- Rendering ----------------
+
+    // Same figures as the footer under chat replies, live while the column is still streaming
+    function statsHtml(col) {
+        const now = col.endedAt || performance.now();
+        if (!col.firstTokenAt) return escapeHtml(`⏱️ ${((now - col.startedAt) / 1000).toFixed(1)}s waiting${col.stopped ? ' · stopped' : ''}`);
+        const text = metricsText(responseMetrics(col.startedAt, col.firstTokenAt, now, col.content, col.usage));
+        return escapeHtml(col.stopped ? `${text} · stopped` : text);
+    }
+
+    function bodyHtml(col) {
+        const showThinking = showThinkingToggle && showThinkingToggle.checked;
+        const parsed = parseThinkingAndAnswer(col.content);
+        let thinkingCount = 0;
+        let html = parsed.segments.map(segment => {
+            if (segment.type === 'answer') return `<div class="message-content">${formatContent(segment.text)}</div>`;
+            const k = thinkingCount++;
+            return thinkingBlockHtml(segment, (col.thinkingTimes || [])[k], k, col.expanded.has(k) ? col.expanded.get(k) : showThinking);
+        }).join('');
+        if (!col.content && !col.endedAt) {
+            html += '<div class="text-muted"><em>⏳ Waiting for the model...</em></div>';
+        }
+        if (col.error) {
+            const message = col.error === 'context_length_exceeded'
+                ? 'Context limit reached -- the prompt is too long for this model.'
+                : col.error === 'connection_closed'
+                    ? 'Connection lost -- try lowering Max Tokens.'
+                    : col.error;
+            html += `<div class="alert alert-warning py-1 px-2 mt-2 mb-0 small">⚠️ ${escapeHtml(message)}</div>`;
+        }
+        return html;
+    }
+
+    function renderColumns() {
+        columnsEl.innerHTML = columns.map((col, i) => `
+            <div class="card compare-column" data-column="${i}">
+                <div class="card-header py-2 px-3">
+                    ${isBlind() && !col.revealed
+                        ? `<div class="fw-bold small">🎭 Model ${'AB'[i]}</div>`
+                        : `<div class="fw-bold small text-truncate" title="${escapeHtml(col.model)}">${mode === 'arena' ? `${'AB'[i]}: ` : '🤖 '}${escapeHtml(col.name)}</div>`}
+                    <div class="compare-stats small text-muted">${statsHtml(col)}</div>
+                </div>
+                <div class="card-body compare-body py-2 px-3">${bodyHtml(col)}</div>
+            </div>
+        `).join('');
+    }
+
+    function updateStats() {
+        columns.forEach((col, i) => {
+            const stats = columnsEl.querySelector(`[data-column="${i}"] .compare-stats`);
+            if (stats) stats.innerHTML = statsHtml(col);
+        });
+    }
+
+    function scheduleRender() {
+        if (frame === null) frame = requestAnimationFrame(renderColumnUpdates);
+    }
+
+    // Patch each column in place so scrolling and selection in the others are left alone
+    function renderColumnUpdates() {
+        if (frame !== null) cancelAnimationFrame(frame);
+        frame = null;
+        columns.forEach((col, i) => {
+            const el = columnsEl.querySelector(`[data-column="${i}"]`);
+            if (!el) return;
+            const body = el.querySelector('.compare-body');
+            const atBottom = body.scrollHeight - body.scrollTop - body.clientHeight < 40;
+            el.querySelector('.compare-stats').innerHTML = statsHtml(col);
+            body.innerHTML = bodyHtml(col);
+            if (atBottom) body.scrollTop = body.scrollHeight;
+        });
+    }
+
+    columnsEl.addEventListener('toggle', (e) => {
+        const block = e.target;
+        if (!block.dataset || block.dataset.thinkingKey === undefined) return;
+        const col = columns[parseInt(block.closest('[data-column]').dataset.column)];
+        if (col) col.expanded.set(parseInt(block.dataset.thinkingKey), block.open);
+    }, true); // toggle doesn't bubble
+
+    btnCompare.addEventListener('click', () => toggle('compare'));
+    btnArena.addEventListener('click', () => toggle('arena'));
+    arenaVoteEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-arena-vote]');
+        if (btn) castVote(btn.dataset.arenaVote);
+    });
+    modelPicker.addEventListener('change', () => {
+        updatePickerLimit();
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(selectedModels()));
+    });
+    codeBlocks.attach(columnsEl);
+
+    return { isActive, toggle, close, send };
+})();
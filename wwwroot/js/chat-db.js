@@ -0,0 +1,65 @@
+// chat-db.js - IndexedDB persistence for chat conversations
+const chatDb = (() => {
+    const DB_NAME = 'foundry-webui';
+    const DB_VERSION = 1;
+    const STORE = 'conversations';
+    let dbPromise = null;
+
+    function open() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    const store = db.createObjectStore(STORE, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                dbPromise = null;
+                reject(req.error);
+            };
+        });
+        return dbPromise;
+    }
+
+    // Runs a single request against the conversations store and resolves with its result
+    async function run(mode, fn) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const req = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // All conversations, most recently updated first
+    async function getAll() {
+        const all = await run('readonly', store => store.getAll());
+        return (all || []).sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+    }
+
+    function get(id) {
+        return run('readonly', store => store.get(id));
+    }
+
+    function put(conversation) {
+        return run('readwrite', store => store.put(conversation));
+    }
+
+    function remove(id) {
+        return run('readwrite', store => store.delete(id));
+    }
+
+    // 12 hex chars; crypto.randomUUID() is unavailable over plain HTTP (non-secure context)
+    function newId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(6));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    return { getAll, get, put, remove, newId };
+})();
@@ -0,0 +1,265 @@
+// chat-export.js - Serialises a conversation to Markdown, re-importable JSON and standalone HTML, and reads JSON back in
+const chatExport = (() => {
+    const FORMAT_ID = 'foundry-webui-conversation';
+    const FORMAT_VERSION = 1;
+
+    const ROLE_LABELS = { system: '⚙️ System', user: '👤 You', assistant: '🤖 Assistant' };
+
+    // doc: { title, model, systemPrompt, parameters, messages, tree, createdAt, updatedAt }
+
+    function fileBaseName(doc) {
+        const slug = (doc.title || 'chat').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60);
+        return slug || 'chat';
+    }
+
+    function splitMessage(msg) {
+        if (msg.role !== 'assistant') return { thinking: '', answer: msg.content };
+        const parsed = parseThinkingAndAnswer(msg.content || '');
+        return parsed.hasThinking ? parsed : { thinking: '', answer: msg.content };
+    }
+
+    // [name, display value] pairs for the parameters that were actually set
+    function parameterEntries(doc) {
+        return Object.entries(doc.parameters || {})
+            .filter(([, v]) => v !== null && v !== undefined && v !== '' && !(Array.isArray(v) && v.length === 0))
+            .map(([k, v]) => [k, Array.isArray(v) ? v.map(x => JSON.stringify(x)).join(', ') : String(v)]);
+    }
+
+    function toMarkdown(doc) {
+        const out = [`# ${doc.title || 'Chat'}`, ''];
+        out.push(`- **Model:** ${doc.model || '(none)'}`);
+        parameterEntries(doc).forEach(([k, v]) => out.push(`- **${k}:** ${v}`));
+        out.push(`- **Exported:** ${new Date().toISOString()}`);
+        out.push('');
+        if (doc.systemPrompt) {
+            out.push('## System Prompt', '', doc.systemPrompt, '');
+        }
+        out.push('---', '');
+        doc.messages.forEach(msg => {
+            const { thinking, answer } = splitMessage(msg);
+            out.push(`## ${ROLE_LABELS[msg.role] || msg.role}`, '');
+            if (thinking) {
+                out.push('<details>', '<summary>🧠 Thinking</summary>', '', thinking, '', '</details>', '');
+            }
+            out.push(answer || '', '');
+        });
+        return out.join('\n');
+    }
+
+    // The JSON document is what chat import reads back (messages plus the full branch tree)
+    function toJson(doc) {
+        return JSON.stringify({
+            format: FORMAT_ID,
+            version: FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            conversation: {
+                title: doc.title,
+                model: doc.model,
+                systemPrompt: doc.systemPrompt,
+                parameters: doc.parameters,
+                messages: doc.messages,
+                tree: doc.tree,
+                createdAt: doc.createdAt,
+                updatedAt: doc.updatedAt
+            }
+        }, null, 2);
+    }
+
+    const HTML_STYLES = `
+        body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; background: #1e1f22; color: #dee2e6; max-width: 900px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+        h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+        .meta { color: #8b949e; font-size: 0.85rem; margin-bottom: 1.5rem; }
+        .meta span { margin-right: 1rem; }
+        .message { border-radius: 0.5rem; padding: 0.6rem 0.9rem; margin: 0 0 1rem; max-width: 85%; }
+        .message.user { background: #0d6efd; color: #fff; margin-left: auto; }
+        .message.assistant { background: #2b3035; }
+        .message.system { background: #343a40; border: 1px dashed #6c757d; max-width: 100%; }
+        .role { font-weight: 600; font-size: 0.8rem; opacity: 0.85; margin-bottom: 0.25rem; }
+        details { background: rgba(255, 193, 7, 0.08); border-left: 3px solid #b0a060; padding: 0.25rem 0.6rem; margin-bottom: 0.5rem; color: #b0a060; font-size: 0.85em; }
+        summary { cursor: pointer; }
+        pre { background: rgba(0,0,0,0.35); padding: 0.75rem; border-radius: 0.375rem; overflow-x: auto; }
+        code { font-family: Consolas, "Courier New", monospace; font-size: 0.875em; }
+        table { border-collapse: collapse; margin: 0.5rem 0; }
+        th, td { border: 1px solid #495057; padding: 0.25rem 0.5rem; }
+        blockquote { border-left: 3px solid #495057; margin: 0.5rem 0; padding-left: 0.75rem; opacity: 0.85; }
+        a { color: inherit; }
+        li.task-list-item { list-style: none; }
+        pre.line-numbers { counter-reset: code-line; }
+        pre.line-numbers .code-line::before { counter-increment: code-line; content: counter(code-line); display: inline-block; width: 2.5em; margin-right: 0.75em; text-align: right; opacity: 0.35; }
+        .tok-comment { color: #7f8c8d; font-style: italic; } .tok-string { color: #98c379; }
+        .tok-number, .tok-literal { color: #d19a66; } .tok-keyword, .tok-operator { color: #c678dd; }
+        .tok-function { color: #61afef; } .tok-property, .tok-tag { color: #e06c75; }
+        .tok-variable { color: #e5c07b; } .tok-meta { color: #56b6c2; }`;
+
+    // Rendered Markdown without the interactive code toolbar (there is no script in the exported file)
+    function staticMarkdown(text) {
+        const template = document.createElement('template');
+        template.innerHTML = markdown.render(text || '');
+        template.content.querySelectorAll('.code-block-header').forEach(el => el.remove());
+        return template.innerHTML;
+    }
+
+    function toHtml(doc) {
+        const esc = markdown.escapeHtml;
+        const meta = [`<span><strong>Model:</strong> ${esc(doc.model || '(none)')}</span>`]
+            .concat(parameterEntries(doc).map(([k, v]) => `<span><strong>${esc(k)}:</strong> ${esc(v)}</span>`))
+            .concat([`<span><strong>Exported:</strong> ${esc(new Date().toLocaleString())}</span>`]);
+
+        const messages = [];
+        if (doc.systemPrompt) {
+            messages.push(`<div class="message system"><div class="role">${ROLE_LABELS.system}</div>${staticMarkdown(doc.systemPrompt)}</div>`);
+        }
+        doc.messages.forEach(msg => {
+            const { thinking, answer } = splitMessage(msg);
+            const thinkingHtml = thinking
+                ? `<details><summary>🧠 Thinking</summary>${staticMarkdown(thinking)}</details>`
+                : '';
+            messages.push(`<div class="message ${esc(msg.role)}"><div class="role">${ROLE_LABELS[msg.role] || esc(msg.role)}</div>${thinkingHtml}${staticMarkdown(answer)}</div>`);
+        });
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${esc(doc.title || 'Chat')}</title>
+<style>${HTML_STYLES}
+</style>
+</head>
+<body>
+<h1>${esc(doc.title || 'Chat')}</h1>
+<div class="meta">${meta.join('')}</div>
+${messages.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    const FORMATS = {
+        md: { build: toMarkdown, ext: 'md', mime: 'text/markdown;charset=utf-8' },
+        json: { build: toJson, ext: 'json', mime: 'application/json;charset=utf-8' },
+        html: { build: toHtml, ext: 'html', mime: 'text/html;charset=utf-8' }
+    };
+
+    function download(doc, format) {
+        const f = FORMATS[format];
+        if (!f) throw new Error(`Unknown export format: ${format}`);
+        codeBlocks.downloadText(f.build(doc), `${fileBaseName(doc)}.${f.ext}`, f.mime);
+    }
+
+    // ---------------- Import ----------------
+
+    // OpenAI content may be a string or an array of parts ({ type: 'text', text })
+    function contentText(content) {
+        if (typeof content === 'string') return content;
+        if (Array.isArray(content)) {
+            return content.map(part => typeof part === 'string' ? part : (part && typeof part.text === 'string' ? part.text : '')).join('');
+        }
+        return content == null ? '' : String(content);
+    }
+
+    // Splits an OpenAI-style messages array into a system prompt and the user/assistant turns
+    function fromMessages(raw) {
+        const system = [];
+        const messages = [];
+        let skipped = 0;
+        raw.forEach(m => {
+            if (!m || typeof m !== 'object') { skipped++; return; }
+            const role = String(m.role || '').toLowerCase();
+            const content = contentText(m.content);
+            if (role === 'system' || role === 'developer') {
+                if (content.trim()) system.push(content);
+            } else if (role === 'user' || role === 'assistant') {
+                messages.push({ role, content });
+            } else {
+                skipped++; // tool / function results have no place in this chat UI
+            }
+        });
+        return { systemPrompt: system.join('\n\n') || null, messages, skipped };
+    }
+
+    // Imported files are untrusted: each message is rebuilt from its role and text plus the display fields that
+    // still make sense in a new chat (no metrics, sources, jobs or retry history from another session)
+    function cleanMessage(m) {
+        const message = { role: m.role, content: contentText(m.content) };
+        if (typeof m.contextSummary === 'string') message.contextSummary = m.contextSummary;
+        if (Array.isArray(m.thinkingTimes)) message.thinkingTimes = m.thinkingTimes.map(t => Number.isFinite(t) ? t : null);
+        if (m.finishReason === 'length') message.finishReason = 'length';
+        return message;
+    }
+
+    function cleanTree(node) {
+        const children = (Array.isArray(node.children) ? node.children : [])
+            .filter(c => c && typeof c === 'object' && (c.role === 'user' || c.role === 'assistant'))
+            .map(c => ({ ...cleanMessage(c), ...cleanTree(c) }));
+        const selected = Number.isInteger(node.selected) ? Math.min(Math.max(node.selected, 0), Math.max(children.length - 1, 0)) : 0;
+        return { children, selected };
+    }
+
+    const NUMERIC_PARAMETERS = ['temperature', 'top_p', 'max_tokens', 'presence_penalty', 'frequency_penalty', 'seed'];
+
+    // Sampling parameters the app knows, with the types the Advanced panel expects
+    function cleanParameters(raw) {
+        const parameters = {};
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return parameters;
+        NUMERIC_PARAMETERS.forEach(k => {
+            if (Number.isFinite(raw[k])) parameters[k] = raw[k];
+        });
+        if (Array.isArray(raw.stop)) {
+            const stop = raw.stop.filter(s => typeof s === 'string');
+            if (stop.length > 0) parameters.stop = stop;
+        } else if (typeof raw.stop === 'string' && raw.stop) {
+            parameters.stop = [raw.stop];
+        }
+        return parameters;
+    }
+
+    function stringOrNull(value) {
+        return typeof value === 'string' && value ? value : null;
+    }
+
+    // Accepts this app's JSON export, a bare OpenAI messages array, or a chat request body ({ model, messages })
+    function parseImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Not valid JSON: ${err.message}`);
+        }
+
+        if (data && data.format === FORMAT_ID) {
+            if (data.version > FORMAT_VERSION) throw new Error(`Export format version ${data.version} is newer than this app supports`);
+            const c = data.conversation || {};
+            if (!Array.isArray(c.messages) || c.messages.length === 0) throw new Error('Export file has no messages');
+            const parsed = fromMessages(c.messages);
+            const tree = c.tree && typeof c.tree === 'object' ? cleanTree(c.tree) : null;
+            return {
+                title: stringOrNull(c.title),
+                model: stringOrNull(c.model),
+                systemPrompt: stringOrNull(c.systemPrompt) || parsed.systemPrompt,
+                parameters: cleanParameters(c.parameters),
+                messages: c.messages.filter(m => m && (m.role === 'user' || m.role === 'assistant')).map(cleanMessage),
+                tree: tree && tree.children.length > 0 ? tree : null,
+                skipped: parsed.skipped
+            };
+        }
+
+        const raw = Array.isArray(data) ? data : (data && Array.isArray(data.messages) ? data.messages : null);
+        if (!raw) throw new Error('Expected a conversation export or an array of { role, content } messages');
+        const parsed = fromMessages(raw);
+        if (parsed.messages.length === 0) throw new Error('No user or assistant messages found');
+
+        const parameters = Array.isArray(data) ? {} : cleanParameters(data);
+        return {
+            title: null,
+            model: Array.isArray(data) ? null : stringOrNull(data.model),
+            systemPrompt: parsed.systemPrompt,
+            parameters,
+            messages: parsed.messages,
+            tree: null,
+            skipped: parsed.skipped
+        };
+    }
+
+    return { toMarkdown, toJson, toHtml, download, parseImport, FORMAT_ID, FORMAT_VERSION };
+})();
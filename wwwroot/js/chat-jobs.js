@@ -0,0 +1,45 @@
+// chat-jobs.js - /api/chat runs every generation as a job on the server (see ChatJobStore.cs) that keeps the
+// tokens it has produced. The job id comes back in the X-Chat-Job-Id header and each SSE event carries an id,
+// so a stream that drops (network blip, page reload) can be picked up with Last-Event-ID. Closing the connection
+// leaves the job running; stopping it is an explicit DELETE, sent when the caller's abort signal fires.
+const chatJobs = (() => {
+    const RESUME_ATTEMPTS = 3;
+
+    function cancel(jobId) {
+        return fetch(`/api/chat/jobs/${encodeURIComponent(jobId)}`, { method: 'DELETE' }).catch(() => {});
+    }
+
+    function cancelOnAbort(jobId, signal) {
+        if (jobId && signal) signal.addEventListener('abort', () => cancel(jobId), { once: true });
+    }
+
+    // POST /api/chat; the response's X-Chat-Job-Id names the job for resume()
+    async function start(provider, body, signal) {
+        const res = await fetch(`/api/chat?provider=${provider}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal
+        });
+        cancelOnAbort(res.headers.get('X-Chat-Job-Id'), signal);
+        return res;
+    }
+
+    // Reattaches to a job's stream from the event after lastEventId (the whole reply when null),
+    // trying a few times while the network is down
+    async function resume(jobId, lastEventId, signal) {
+        const headers = lastEventId != null ? { 'Last-Event-ID': String(lastEventId) } : {};
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const res = await fetch(`/api/chat/jobs/${encodeURIComponent(jobId)}/stream`, { headers, signal });
+                cancelOnAbort(jobId, signal);
+                return res;
+            } catch (err) {
+                if (err.name === 'AbortError' || attempt >= RESUME_ATTEMPTS) throw err;
+                await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+            }
+        }
+    }
+
+    return { start, resume, cancel };
+})();
@@ -0,0 +1,114 @@
+// chat-knowledge.js - "Use knowledge base" in the chat header. Before a reply is requested, the question is searched
+// in the selected collection (/api/knowledge/{id}/search) and the top chunks are sent with it as numbered excerpts.
+// The search result is stored on the user message (msg.retrieval) so a regenerated reply sees the same excerpts,
+// and on the reply (msg.sources) so the chat shows which chunks the answer was given.
+const chatKnowledge = (() => {
+    const STORAGE_KEY = 'chat-knowledge';
+    const TOP_K = 4;
+    const SNIPPET_CHARS = 300;
+
+    const toggle = document.getElementById('use-knowledge');
+    const collectionSelect = document.getElementById('knowledge-collection');
+
+    function saved() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        } catch {
+            return {};
+        }
+    }
+
+    function save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ enabled: toggle.checked, collectionId: collectionSelect.value }));
+    }
+
+    async function loadCollections() {
+        const state = saved();
+        try {
+            const res = await fetch('/api/knowledge');
+            const collections = await res.json();
+            collectionSelect.innerHTML = collections.length === 0
+                ? '<option value="">No collections -- see Knowledge page</option>'
+                : collections.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)} (${c.documentCount} docs)</option>`).join('');
+            if (collections.some(c => c.id === state.collectionId)) collectionSelect.value = state.collectionId;
+            toggle.disabled = collections.length === 0;
+            toggle.checked = !!state.enabled && collections.length > 0;
+        } catch (err) {
+            console.warn('Failed to load knowledge base collections:', err);
+            toggle.disabled = true;
+        }
+        collectionSelect.disabled = !toggle.checked;
+    }
+
+    function isEnabled() {
+        return toggle.checked && !!collectionSelect.value;
+    }
+
+    // True when a stored search result belongs to the collection currently in use
+    function matches(retrieval) {
+        return isEnabled() && !!retrieval && retrieval.collectionId === collectionSelect.value;
+    }
+
+    async function retrieve(query, signal) {
+        const res = await fetch(`/api/knowledge/${encodeURIComponent(collectionSelect.value)}/search`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, topK: TOP_K }),
+            signal
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(`Knowledge base search failed: ${data.error || `HTTP ${res.status}`}`);
+        return {
+            collectionId: data.collectionId,
+            collectionName: data.collectionName,
+            query,
+            chunks: data.results.map((r, i) => ({
+                n: i + 1,
+                documentId: r.documentId,
+                fileName: r.fileName,
+                page: r.page,
+                section: r.section,
+                text: r.text,
+                score: r.score
+            }))
+        };
+    }
+
+    function citation(chunk) {
+        return [chunk.fileName, chunk.page ? `page ${chunk.page}` : '', chunk.section || ''].filter(Boolean).join(', ');
+    }
+
+    // The user message as sent to the model: instructions, the numbered excerpts, then the question itself
+    function withSources(content, retrieval) {
+        if (!retrieval || retrieval.chunks.length === 0) return content;
+        const excerpts = retrieval.chunks.map(c => `[${c.n}] ${citation(c)}\n${c.text}`).join('\n\n');
+        return `Answer the question using the numbered excerpts from the "${retrieval.collectionName}" knowledge base below. ` +
+            'Cite the excerpts you use as [1], [2], ... If they do not contain the answer, say so.\n\n' +
+            `${excerpts}\n\nQuestion: ${content}`;
+    }
+
+    function sourcesHtml(sources) {
+        if (!sources || !Array.isArray(sources.chunks)) return '';
+        const esc = markdown.escapeHtml;
+        // Sources come back from storage and imports as-is, so skip chunks that aren't shaped like search results
+        const chunks = sources.chunks.filter(c => c && typeof c.text === 'string');
+        if (chunks.length === 0) return '';
+        const items = chunks.map(c => {
+            const snippet = c.text.length > SNIPPET_CHARS ? `${c.text.slice(0, SNIPPET_CHARS)}...` : c.text;
+            return `<li class="mb-1"><strong>[${esc(String(parseInt(c.n, 10) || 0))}] ${esc(citation(c))}</strong>
+                        <div class="knowledge-snippet text-muted">${esc(snippet)}</div></li>`;
+        }).join('');
+        return `<details class="knowledge-sources small mt-2">
+                    <summary>📚 Sources used (${chunks.length}) -- ${esc(String(sources.collectionName || ''))}</summary>
+                    <ul class="list-unstyled mb-0 mt-1">${items}</ul>
+                </details>`;
+    }
+
+    toggle.addEventListener('change', () => {
+        collectionSelect.disabled = !toggle.checked;
+        save();
+    });
+    collectionSelect.addEventListener('change', save);
+
+    return { loadCollections, isEnabled, matches, retrieve, withSources, sourcesHtml };
+})();
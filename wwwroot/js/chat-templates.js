@@ -0,0 +1,132 @@
+// chat-templates.js - Prompt templates (managed on the Settings page) in the 📝 menu next to the chat input.
+// Picking one with {{variable}} placeholders opens a small form with a field per variable and a live preview;
+// Send puts the filled-in text in the chat input and sends it with sendInput(), so text starting with "/" is
+// sent as written rather than run as a slash command. The 📝 button is disabled while a reply streams.
+const chatTemplates = (() => {
+    const VARIABLE_PATTERN = /\{\{\s*([\w .-]+?)\s*\}\}/g;
+    // Placeholders given a multi-line box; anything else gets a single-line input
+    const LONG_VARIABLES = /^(text|code|content|input|body|document|notes|context|question|diff|log)s?$/i;
+
+    const menu = document.getElementById('template-menu');
+    const modalEl = document.getElementById('template-fill-modal');
+    const titleEl = document.getElementById('template-fill-title');
+    const fieldsEl = document.getElementById('template-fields');
+    const previewEl = document.getElementById('template-preview');
+    const btnSend = document.getElementById('btn-template-send');
+
+    let templates = [];
+    let current = null; // { template, variables }
+    let modal = null;
+
+    // Placeholder names in order of first appearance, case-insensitively unique
+    function variablesOf(content) {
+        const names = [...content.matchAll(VARIABLE_PATTERN)].map(m => m[1]);
+        return names.filter((name, i) => names.findIndex(n => n.toLowerCase() === name.toLowerCase()) === i);
+    }
+
+    function fill(content, values) {
+        return content.replace(VARIABLE_PATTERN, (placeholder, name) => values[name.toLowerCase()] ?? placeholder);
+    }
+
+    async function loadTemplates() {
+        try {
+            const res = await fetch('/api/prompt-templates');
+            templates = await res.json();
+        } catch (err) {
+            console.warn('Failed to load prompt templates:', err);
+            templates = [];
+        }
+        renderMenu();
+    }
+
+    function renderMenu() {
+        const items = templates.map(t => {
+            const variables = variablesOf(t.content);
+            return `<li><button class="dropdown-item" type="button" data-template-id="${escapeHtml(t.id)}">
+                        ${escapeHtml(t.name)}${variables.length > 0 ? ` <span class="small text-muted">(${escapeHtml(variables.join(', '))})</span>` : ''}
+                    </button></li>`;
+        }).join('');
+        menu.innerHTML = (items || '<li><span class="dropdown-item-text small text-muted">No templates yet</span></li>') +
+            '<li><hr class="dropdown-divider" /></li><li><a class="dropdown-item small" href="/Settings">⚙️ Manage templates...</a></li>';
+    }
+
+    function values() {
+        const result = {};
+        fieldsEl.querySelectorAll('[data-variable]').forEach(input => {
+            result[input.dataset.variable.toLowerCase()] = input.value;
+        });
+        return result;
+    }
+
+    function updatePreview() {
+        previewEl.textContent = fill(current.template.content, values());
+    }
+
+    // Without placeholders the template goes straight into the input for editing; otherwise the form asks for them
+    function open(id) {
+        const template = templates.find(t => t.id === id);
+        if (!template) return;
+        if (abortController) {
+            alert('Wait for the current response to finish before using a template.');
+            return;
+        }
+        if (chatInput.value.trim() && !confirm('Replace the message you are typing with this template?')) return;
+
+        const variables = variablesOf(template.content);
+        if (variables.length === 0) {
+            chatInput.value = template.content;
+            chatInput.focus();
+            updateContextMeter();
+            return;
+        }
+
+        current = { template, variables };
+        titleEl.textContent = `📝 ${template.name}`;
+        fieldsEl.innerHTML = variables.map((name, i) => {
+            const id = `template-var-${i}`;
+            const field = LONG_VARIABLES.test(name)
+                ? `<textarea id="${id}" class="form-control form-control-sm" rows="5" data-variable="${escapeHtml(name)}"></textarea>`
+                : `<input id="${id}" type="text" class="form-control form-control-sm" data-variable="${escapeHtml(name)}" />`;
+            return `<div class="mb-2"><label class="form-label small fw-bold mb-1" for="${id}">${escapeHtml(name)}</label>${field}</div>`;
+        }).join('');
+        updatePreview();
+        modal = modal || new bootstrap.Modal(modalEl);
+        modal.show();
+    }
+
+    async function send() {
+        const filled = values();
+        const missing = current.variables.filter(name => !filled[name.toLowerCase()].trim());
+        if (missing.length > 0) {
+            alert(`Fill in: ${missing.join(', ')}`);
+            return;
+        }
+        if (abortController) {
+            alert('Wait for the current response to finish, or stop it, before sending.');
+            return; // the form stays open with what was typed
+        }
+        chatInput.value = fill(current.template.content, filled);
+        modal.hide();
+        await sendInput();
+    }
+
+    menu.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-template-id]');
+        if (button) open(button.dataset.templateId);
+    });
+    fieldsEl.addEventListener('input', updatePreview);
+    fieldsEl.addEventListener('keydown', (e) => {
+        // Enter sends from a single-line field, Ctrl+Enter from a multi-line one
+        if (e.key === 'Enter' && (e.target.tagName === 'INPUT' || e.ctrlKey)) {
+            e.preventDefault();
+            send();
+        }
+    });
+    btnSend.addEventListener('click', send);
+    modalEl.addEventListener('shown.bs.modal', () => {
+        const first = fieldsEl.querySelector('[data-variable]');
+        if (first) first.focus();
+    });
+
+    return { loadTemplates, variablesOf, fill };
+})();
@@ -3,6 +3,7 @@ const chatMessages = document.getElementById('chat-messages');
 const chatInput = document.getElementById('chat-input');
 const btnSend = document.getElementById('btn-send');
 const btnStop = document.getElementById('btn-stop');
+const btnTemplates = document.getElementById('btn-templates');
 const btnNewChat = document.getElementById('btn-new-chat');
 const modelSelect = document.getElementById('model-select');
 const promptSelect = document.getElementById('prompt-select');
@@ -11,10 +12,24 @@ const sendSpinner = document.getElementById('send-spinner');
 const showThinkingToggle = document.getElementById('show-thinking');
 const maxTokensSlider = document.getElementById('max-tokens-slider');
 const maxTokensValue = document.getElementById('max-tokens-value');
+const autoRetryToggle = document.getElementById('auto-retry-tokens');
+const conversationList = document.getElementById('conversation-list');
+const chatMain = document.getElementById('chat-main');
+const importFileInput = document.getElementById('import-file');
+const contextStrategySelect = document.getElementById('context-strategy');
+const contextMeter = document.getElementById('context-meter');
+const contextMeterText = document.getElementById('context-meter-text');
+const contextMeterBar = document.getElementById('context-meter-bar');
 
-let conversation = [];
+let conversation = []; // the selected branch of messageTree, root to leaf
+let messageTree = newTreeRoot();
 let abortController = null;
 let modelMaxTokens = {}; // modelId -> maxOutputTokens
+let modelContextLength = {}; // modelId -> context window size, where the catalog lists one
+let currentChat = null; // { id, title, createdAt } of the open conversation, null until the first send
+
+// Times a dropped reply stream is reattached to its server-side job before giving up (see chat-jobs.js)
+const MAX_STREAM_RECONNECTS = 5;
 
 // Max tokens slider display
 if (maxTokensSlider) {
@@ -23,29 +38,154 @@ if (maxTokensSlider) {
     });
 }
 
-// Thinking token patterns: content before the answer marker is "thinking"
+// Auto-retry: when Foundry Local closes the connection (usually max_tokens beyond what the model can handle),
+// the request is retried with half the max tokens, down to MIN_RETRY_MAX_TOKENS. The value that got through
+// is remembered per model (localStorage 'working-max-tokens') and put on the slider whenever the model is picked.
+const MIN_RETRY_MAX_TOKENS = 256;
+
+if (autoRetryToggle) {
+    autoRetryToggle.checked = localStorage.getItem('auto-retry-tokens') === 'true';
+    autoRetryToggle.addEventListener('change', () => {
+        localStorage.setItem('auto-retry-tokens', autoRetryToggle.checked);
+    });
+}
+
+function workingMaxTokens() {
+    try {
+        return JSON.parse(localStorage.getItem('working-max-tokens') || '{}');
+    } catch {
+        return {};
+    }
+}
+
+function rememberWorkingMaxTokens(modelId, maxTokens) {
+    localStorage.setItem('working-max-tokens', JSON.stringify({ ...workingMaxTokens(), [modelId]: maxTokens }));
+    if (maxTokensSlider && modelSelect.value === modelId) {
+        maxTokensSlider.value = maxTokens;
+        maxTokensValue.textContent = maxTokensSlider.value;
+    }
+}
+
+// The next max_tokens to try after connection_closed, or null when auto-retry is off or already at the minimum
+function retryMaxTokens(maxTokens) {
+    if (!autoRetryToggle || !autoRetryToggle.checked || maxTokens <= MIN_RETRY_MAX_TOKENS) return null;
+    return Math.max(MIN_RETRY_MAX_TOKENS, Math.floor(maxTokens / 2 / MIN_RETRY_MAX_TOKENS) * MIN_RETRY_MAX_TOKENS);
+}
+
+// Thinking token patterns: content between a start and end marker is "thinking"; a reply can have several
+// such segments. Pairs added on the Settings page (localStorage 'thinking-markers') are tried as well.
 const THINKING_MARKERS = [
     { start: '<|channel|>analysis', end: '<|message|>' },
     { start: '<think>', end: '</think>' }
 ];
+const thinkingMarkers = (() => {
+    try {
+        const custom = JSON.parse(localStorage.getItem('thinking-markers') || '[]');
+        return [...custom.filter(m => m && m.start && m.end), ...THINKING_MARKERS];
+    } catch {
+        return THINKING_MARKERS;
+    }
+})();
 
-function parseThinkingAndAnswer(text) {
-    for (const marker of THINKING_MARKERS) {
-        const startIdx = text.indexOf(marker.start);
-        if (startIdx === -1) continue;
-        const afterStart = startIdx + marker.start.length;
-        const endIdx = text.indexOf(marker.end, afterStart);
-        if (endIdx !== -1) {
-            const thinking = text.substring(afterStart, endIdx).trim();
-            const answer = text.substring(endIdx + marker.end.length).trim();
-            return { thinking, answer, hasThinking: true };
-        } else {
-            // Thinking started but answer not yet received — all content after marker is thinking-in-progress
-            const thinking = text.substring(afterStart).trim();
-            return { thinking, answer: '', hasThinking: true, thinkingInProgress: true };
+// Splits a reply into [{ type: 'thinking' | 'answer', text, open }] in order; `open` marks a thinking
+// segment whose end marker hasn't arrived yet
+function parseThinkingSegments(text) {
+    const segments = [];
+    const addAnswer = (part) => {
+        if (part.trim()) segments.push({ type: 'answer', text: part.trim() });
+    };
+    let pos = 0;
+    while (pos < text.length) {
+        let next = null;
+        for (const marker of thinkingMarkers) {
+            const idx = text.indexOf(marker.start, pos);
+            if (idx !== -1 && (!next || idx < next.idx)) next = { idx, marker };
+        }
+        if (!next) {
+            addAnswer(text.substring(pos));
+            break;
+        }
+        addAnswer(text.substring(pos, next.idx));
+        const afterStart = next.idx + next.marker.start.length;
+        const endIdx = text.indexOf(next.marker.end, afterStart);
+        if (endIdx === -1) {
+            // Thinking started but not finished -- all content after the marker is thinking-in-progress
+            segments.push({ type: 'thinking', text: text.substring(afterStart).trim(), open: true });
+            break;
         }
+        segments.push({ type: 'thinking', text: text.substring(afterStart, endIdx).trim(), open: false });
+        pos = endIdx + next.marker.end.length;
     }
-    return { thinking: '', answer: text, hasThinking: false };
+    return segments;
+}
+
+function parseThinkingAndAnswer(text) {
+    const segments = parseThinkingSegments(text);
+    const thinking = segments.filter(s => s.type === 'thinking');
+    if (thinking.length === 0) return { thinking: '', answer: text, hasThinking: false, segments };
+    return {
+        thinking: thinking.map(s => s.text).filter(Boolean).join('\n\n'),
+        answer: segments.filter(s => s.type === 'answer').map(s => s.text).join('\n\n'),
+        hasThinking: true,
+        thinkingInProgress: thinking[thinking.length - 1].open,
+        segments
+    };
+}
+
+// Reasoning streamed in its own field (data.reasoning, from reasoning_content) is kept inline as
+// <think>...</think>, so it is parsed, saved and exported like thinking written into the content
+function reasoningStream() {
+    let open = false;
+    return {
+        append(text, data) {
+            if (data.reasoning) {
+                if (!open) text += '<think>';
+                open = true;
+                text += data.reasoning;
+            }
+            if (data.content && open) {
+                text += '</think>';
+                open = false;
+            }
+            return text + (data.content || '');
+        },
+        close(text) {
+            if (!open) return text;
+            open = false;
+            return text + '</think>';
+        }
+    };
+}
+
+// Records how long each thinking segment of a streaming reply took, in msg.thinkingTimes (seconds);
+// `starts` holds the start time of each segment seen so far
+function trackThinkingTimes(msg, starts, now, finished = false) {
+    const thinking = parseThinkingSegments(msg.content).filter(s => s.type === 'thinking');
+    if (thinking.length === 0) return;
+    msg.thinkingTimes = msg.thinkingTimes || [];
+    thinking.forEach((segment, k) => {
+        if (starts[k] === undefined) starts[k] = now;
+        if ((!segment.open || finished) && msg.thinkingTimes[k] == null) {
+            msg.thinkingTimes[k] = Math.round((now - starts[k]) / 100) / 10;
+        }
+    });
+}
+
+function formatDuration(seconds) {
+    if (seconds < 1) return 'less than a second';
+    if (seconds < 60) return `${Math.round(seconds)}s`;
+    return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+}
+
+// A collapsible thinking block; `key` identifies it for keeping it open across re-renders
+function thinkingBlockHtml(segment, seconds, key, expanded) {
+    const summary = segment.open
+        ? '<span class="spinner-border spinner-border-sm me-1"></span> Thinking...'
+        : seconds != null ? `Thought for ${formatDuration(seconds)}` : 'Thoughts';
+    return `<details class="thinking-block my-1" data-thinking-key="${key}" ${expanded ? 'open' : ''}>
+                <summary class="small text-warning">🧠 ${summary}</summary>
+                <div class="mt-1 message-content thinking-content">${segment.text ? formatContent(segment.text) : '<em>...</em>'}</div>
+            </details>`;
 }
 
 // Load available models
@@ -63,6 +203,7 @@ async function loadModels() {
             const catalog = await catalogRes.json();
             catalog.forEach(m => {
                 if (m.maxOutputTokens) modelMaxTokens[m.id] = m.maxOutputTokens;
+                if (m.contextLength) modelContextLength[m.id] = m.contextLength;
             });
         }
 
@@ -79,6 +220,7 @@ async function loadModels() {
             opt.value = m.id;
             opt.textContent = m.name;
             opt.dataset.provider = m.provider;
+            opt.dataset.status = m.status || ''; // "loaded" (in memory) or "downloaded" (in the cache, loaded on first use)
             modelSelect.appendChild(opt);
         });
 
@@ -97,10 +239,21 @@ function updateMaxTokensSlider() {
     if (parseInt(maxTokensSlider.value) > limit) {
         maxTokensSlider.value = limit;
     }
+    const working = workingMaxTokens()[selectedModel];
+    if (working && parseInt(maxTokensSlider.value) > working) {
+        maxTokensSlider.value = working;
+    }
     maxTokensValue.textContent = maxTokensSlider.value;
 }
 
-modelSelect.addEventListener('change', updateMaxTokensSlider);
+// Adapt everything that depends on the selected model: token limit, pinned parameter preset, context meter
+function applyModelSettings() {
+    updateMaxTokensSlider();
+    samplingPanel.setModel(modelSelect.value);
+    updateContextMeter();
+}
+
+modelSelect.addEventListener('change', applyModelSettings);
 
 // Load system prompts into selector
 async function loadSystemPrompts() {
@@ -126,222 +279,1240 @@ function getSystemPromptContent() {
     return opt && opt.dataset.content ? opt.dataset.content : null;
 }
 
+// Select a saved prompt by id, else one with the same text; a prompt that no longer exists (or came
+// from an imported file) gets a temporary "Custom" option so the chat keeps running with it
+function selectSystemPrompt(id, content) {
+    const options = Array.from(promptSelect.options);
+    const match = (id && id !== 'custom' && options.find(o => o.value === id)) ||
+        (content ? options.find(o => o.dataset.content === content) : null) ||
+        (!content ? options.find(o => o.value === '') : null);
+    if (match) {
+        promptSelect.value = match.value;
+        return;
+    }
+    let custom = options.find(o => o.value === 'custom');
+    if (!custom) {
+        custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = 'Custom (from chat)';
+        promptSelect.appendChild(custom);
+    }
+    custom.dataset.content = content;
+    custom.title = content;
+    promptSelect.value = 'custom';
+}
+
+// ============================================================
+// Message tree: edits and regenerations add sibling versions instead of replacing messages.
+// Every node is a message plus { children, selected }; `conversation` holds the nodes on the
+// selected path, so index-based code keeps working and mutating conversation[i] updates the tree.
+// ============================================================
+
+function newTreeRoot() {
+    return { children: [], selected: 0 };
+}
+
+function activePath() {
+    const path = [];
+    let node = messageTree;
+    while (node.children && node.children.length > 0) {
+        node = node.children[Math.min(node.selected || 0, node.children.length - 1)];
+        path.push(node);
+    }
+    return path;
+}
+
+// Parent node of conversation[index] (the tree root for the first message)
+function parentOf(index) {
+    return index === 0 ? messageTree : conversation[index - 1];
+}
+
+// Adds a message as a new child of the node at conversation[index - 1] and selects it
+function addVersion(index, message) {
+    const parent = parentOf(index);
+    const node = { ...message, children: [], selected: 0 };
+    parent.children = parent.children || [];
+    parent.children.push(node);
+    parent.selected = parent.children.length - 1;
+    conversation = activePath();
+    return node;
+}
+
+function appendMessage(message) {
+    return addVersion(conversation.length, message);
+}
+
+function switchVersion(index, delta) {
+    const parent = parentOf(index);
+    const count = parent.children.length;
+    parent.selected = (parent.selected + delta + count) % count;
+    conversation = activePath();
+    renderMessages();
+    saveCurrentConversation(true);
+}
+
+// Message without its tree links, as sent to the API and stored in the flat `messages` list
+function plainMessage(node) {
+    const { children, selected, ...message } = node;
+    return message;
+}
+
+// Older saved chats only have a flat message list; turn it into a single-branch tree
+function treeFromMessages(messages) {
+    const root = newTreeRoot();
+    let parent = root;
+    (messages || []).forEach(m => {
+        const node = { ...m, children: [], selected: 0 };
+        parent.children.push(node);
+        parent = node;
+    });
+    return root;
+}
+
+// ============================================================
+// Context window meter: estimated size of the next request against the model's context length
+// ============================================================
+
+const DEFAULT_CONTEXT_LENGTH = 4096;
+const MESSAGE_OVERHEAD_TOKENS = 4; // role markers and separators the chat template adds per message
+
+// Rough token count -- about 4 characters per token for English text and code, one per CJK character.
+// The model's tokenizer isn't available in the browser, so this is only meant for warnings.
+function estimateTokens(text) {
+    if (!text) return 0;
+    const wide = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+    return Math.ceil((text.length - wide) / 4) + wide;
+}
+
+// Catalog entries without a context length fall back to the model's token limit, the closest figure available
+function contextLengthFor(modelId) {
+    return modelContextLength[modelId] || modelMaxTokens[modelId] || DEFAULT_CONTEXT_LENGTH;
+}
+
+// System prompt + history + the draft in the composer (with its attached files); messages the last request
+// dropped or summarized are counted as their summary, matching what the next request will send
+function estimatePromptTokens() {
+    const sent = conversation.filter(m => !m.contextDropped && !m.contextSummarized).map(m => m.content);
+    const summaries = conversation.filter(m => m.contextSummarized && m.contextSummary).map(m => m.contextSummary).slice(-1);
+    return [getSystemPromptContent(), ...summaries, ...sent, chatAttachments.compose(chatInput.value.trim())]
+        .filter(Boolean)
+        .reduce((sum, text) => sum + estimateTokens(text) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+function updateContextMeter() {
+    if (!contextMeter) return;
+    const used = estimatePromptTokens();
+    const limit = contextLengthFor(modelSelect.value);
+    const pct = Math.min(100, Math.round(used / limit * 100));
+    const level = pct >= 90 ? 'danger' : pct >= 70 ? 'warning' : 'success';
+
+    contextMeterBar.style.width = `${pct}%`;
+    contextMeterBar.className = `progress-bar bg-${level}`;
+    contextMeterText.className = level === 'success' ? 'text-muted' : `text-${level}`;
+    contextMeterText.textContent = `~${used.toLocaleString()} / ${limit.toLocaleString()} tokens`;
+    contextMeter.title = `Estimated tokens for the next request (system prompt, history, draft and attachments): ${pct}% of the ` +
+        `${modelContextLength[modelSelect.value] ? '' : 'assumed '}context window. The reply also needs room within it.`;
+}
+
+// ============================================================
+// Context strategy: what a request does once the history no longer fits the context window
+//   fail      -- send everything and let the model report context_length_exceeded
+//   drop      -- leave out the oldest turns, keeping the system prompt and the latest message
+//   summarize -- condense older turns with the same model; the summary is stored on the last message
+//                it covers (msg.contextSummary) and sent along with the system prompt
+// ============================================================
+
+const SUMMARY_MAX_TOKENS = 512;
+const SUMMARY_INSTRUCTIONS = 'You condense chat transcripts. Summarize the conversation below in a few short paragraphs or bullet points, ' +
+    'keeping facts, decisions, names, numbers, code identifiers and open questions. If a previous summary is given, merge it in. ' +
+    'Reply with the summary only.';
+
+// Prompt tokens available once the reply has room (never reserving more than half the window)
+function contextBudget() {
+    const limit = contextLengthFor(modelSelect.value);
+    const reply = maxTokensSlider ? parseInt(maxTokensSlider.value) : 0;
+    return limit - Math.min(reply, Math.floor(limit / 2));
+}
+
+function messageTokens(msg) {
+    return estimateTokens(msg.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+// Index of the first message to keep so history[index..] plus `fixedTokens` fits `budget`.
+// Cuts fall on whole turns (history resumes at a user message) and the latest message is always kept.
+function firstKeptIndex(history, fixedTokens, budget) {
+    let total = history.reduce((sum, m) => sum + messageTokens(m), fixedTokens);
+    let i = 0;
+    while (total > budget && i < history.length - 1) {
+        total -= messageTokens(history[i]);
+        i++;
+    }
+    while (i > 0 && i < history.length - 1 && history[i].role === 'assistant') i++;
+    return i;
+}
+
+function transcriptOf(messages) {
+    return messages.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${parseThinkingAndAnswer(m.content).answer}`).join('\n\n');
+}
+
+// Reads an /api/chat SSE response to the end, calling onData with every `data:` payload
+async function readChatStream(res, onData) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+        for (const line of lines) {
+            if (!line.startsWith('data: ')) continue;
+            let data;
+            try { data = JSON.parse(line.substring(6)); } catch { continue; }
+            onData(data);
+        }
+    }
+}
+
+// Runs a completion without streaming it into the chat and resolves with the answer text
+async function completeText(provider, messages, maxTokens, signal) {
+    const res = await chatJobs.start(provider, { model: modelSelect.value, messages, stream: true, temperature: 0.3, max_tokens: maxTokens }, signal);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    let text = '';
+    await readChatStream(res, data => {
+        if (data.error) throw new Error(data.error);
+        if (data.content) text += data.content;
+    });
+    return parseThinkingAndAnswer(text).answer.trim();
+}
+
+// Folds `messages` into `previousSummary`, a window-sized chunk at a time
+async function summarizeMessages(provider, previousSummary, messages, signal) {
+    const room = contextLengthFor(modelSelect.value) - SUMMARY_MAX_TOKENS - estimateTokens(SUMMARY_INSTRUCTIONS) - 64;
+    let summary = previousSummary || '';
+    let start = 0;
+    while (start < messages.length) {
+        let end = start;
+        let used = estimateTokens(summary);
+        while (end < messages.length && (end === start || used + messageTokens(messages[end]) <= room)) {
+            used += messageTokens(messages[end]);
+            end++;
+        }
+        const previous = summary ? `Previous summary:\n${summary}\n\n` : '';
+        summary = await completeText(provider, [
+            { role: 'system', content: SUMMARY_INSTRUCTIONS },
+            { role: 'user', content: `${previous}Conversation:\n${transcriptOf(messages.slice(start, end))}` }
+        ], SUMMARY_MAX_TOKENS, signal);
+        start = end;
+    }
+    if (!summary) throw new Error('The model returned an empty summary');
+    return summary;
+}
+
+function setMessageFlag(index, key, on) {
+    const msg = conversation[index];
+    if (!!msg[key] === on) return;
+    if (on) msg[key] = true;
+    else delete msg[key];
+    scheduleMessageUpdate(index);
+}
+
+// Messages for a request covering conversation[0..count), with the chat's context strategy applied.
+// Messages that are left out get contextDropped / contextSummarized so the chat shows what the model saw.
+async function buildRequestMessages(provider, count, signal, onSummarizing) {
+    const history = conversation.slice(0, count);
+    const sysPrompt = getSystemPromptContent();
+    // Knowledge base excerpts go out with the latest question only (see chat-knowledge.js);
+    // when continuing a cut-off reply, the history ends with that reply rather than the question
+    const question = history[history.map(m => m.role).lastIndexOf('user')];
+    const retrieval = question && chatKnowledge.matches(question.retrieval) ? question.retrieval : null;
+    const questionContent = retrieval ? chatKnowledge.withSources(question.content, retrieval) : null;
+    const fixedTokens = (sysPrompt ? estimateTokens(sysPrompt) + MESSAGE_OVERHEAD_TOKENS : 0) +
+        (retrieval ? estimateTokens(questionContent) - estimateTokens(question.content) : 0);
+    const budget = contextBudget();
+    let keepFrom = 0;
+    let summaryIdx = -1;
+
+    if (contextStrategySelect.value === 'drop') {
+        keepFrom = firstKeptIndex(history, fixedTokens, budget);
+    } else if (contextStrategySelect.value === 'summarize') {
+        summaryIdx = history.map(m => !!m.contextSummary).lastIndexOf(true);
+        const rest = history.slice(summaryIdx + 1);
+        const summary = summaryIdx >= 0 ? history[summaryIdx].contextSummary : '';
+        const cut = firstKeptIndex(rest, fixedTokens + estimateTokens(summary) + SUMMARY_MAX_TOKENS, budget);
+        if (cut > 0) {
+            onSummarizing();
+            try {
+                const merged = await summarizeMessages(provider, summary, rest.slice(0, cut), signal);
+                summaryIdx += cut;
+                history[summaryIdx].contextSummary = merged;
+            } catch (err) {
+                if (err.name === 'AbortError') throw err;
+                console.warn('[chat] Summarizing older turns failed, dropping them instead:', err);
+                keepFrom = summaryIdx + 1 + cut;
+            }
+        }
+        keepFrom = Math.max(keepFrom, summaryIdx + 1);
+    }
+
+    history.forEach((m, i) => {
+        setMessageFlag(i, 'contextSummarized', i <= summaryIdx);
+        setMessageFlag(i, 'contextDropped', i > summaryIdx && i < keepFrom);
+    });
+
+    const summary = summaryIdx >= 0 ? `Summary of the earlier conversation:\n${history[summaryIdx].contextSummary}` : null;
+    const system = [sysPrompt, summary].filter(Boolean).join('\n\n');
+    const messages = history.slice(keepFrom).map(m => ({ role: m.role, content: retrieval && m === question ? questionContent : m.content }));
+    if (system) messages.unshift({ role: 'system', content: system });
+    return messages;
+}
+
+contextStrategySelect.addEventListener('change', () => {
+    if (currentChat && !abortController) saveCurrentConversation(true);
+});
+
+// Sampling parameters sent with every chat request (see sampling-panel.js for the Advanced panel)
+function getRequestParameters() {
+    return {
+        ...samplingPanel.getParameters(),
+        max_tokens: maxTokensSlider ? parseInt(maxTokensSlider.value) : 4096
+    };
+}
+
+// Also quotes, so the result is safe inside attribute values
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// ============================================================
+// Conversation history (IndexedDB, synced to /api/conversations)
+// ============================================================
+
+function titleFromConversation() {
+    const firstUser = conversation.find(m => m.role === 'user');
+    const text = firstUser ? firstUser.content.replace(/\s+/g, ' ').trim() : '';
+    if (!text) return 'New Chat';
+    return text.length > 60 ? text.substring(0, 60) + '…' : text;
+}
+
+function isNewer(a, b) {
+    return new Date(a.updatedAt || 0) > new Date(b.updatedAt || 0);
+}
+
+// Reflect the open conversation in the URL (/?c=id) so it can be bookmarked or reopened elsewhere
+function setCurrentChat(chat) {
+    currentChat = chat;
+    const url = new URL(window.location.href);
+    if (chat) {
+        localStorage.setItem('chat-current-id', chat.id);
+        url.searchParams.set('c', chat.id);
+    } else {
+        localStorage.removeItem('chat-current-id');
+        url.searchParams.delete('c');
+    }
+    history.replaceState(null, '', url);
+}
+
+async function syncConversationToServer(record) {
+    try {
+        const res = await fetch(`/api/conversations/${encodeURIComponent(record.id)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(record)
+        });
+        if (!res.ok) console.warn(`[chat] Conversation sync failed: HTTP ${res.status}`);
+    } catch (err) {
+        console.warn('[chat] Conversation sync failed:', err);
+    }
+}
+
+// Loads a conversation from the browser and the server, preferring whichever copy is newer
+async function loadConversation(id) {
+    const [local, remote] = await Promise.all([
+        chatDb.get(id).catch(() => null),
+        fetch(`/api/conversations/${encodeURIComponent(id)}`)
+            .then(res => res.ok ? res.json() : null)
+            .catch(() => null)
+    ]);
+    if (remote && (!local || isNewer(remote, local))) {
+        chatDb.put(remote).catch(() => {});
+        return remote;
+    }
+    return local || null;
+}
+
+// Snapshot the open conversation (messages plus the model, prompt and max tokens it runs with) and store it.
+// Completed turns are also pushed to the server so the chat is available from other browsers.
+async function saveCurrentConversation(syncServer = false) {
+    if (conversation.length === 0) return;
+    const now = new Date().toISOString();
+    if (!currentChat) {
+        setCurrentChat({ id: chatDb.newId(), title: titleFromConversation(), createdAt: now });
+    }
+    const record = {
+        id: currentChat.id,
+        title: currentChat.title,
+        model: modelSelect.value,
+        systemPromptId: promptSelect.value,
+        systemPrompt: getSystemPromptContent(),
+        maxTokens: maxTokensSlider ? parseInt(maxTokensSlider.value) : null,
+        contextStrategy: contextStrategySelect.value,
+        messages: conversation.map(plainMessage),
+        tree: JSON.parse(JSON.stringify(messageTree)), // snapshot now; streaming keeps mutating the live nodes
+        createdAt: currentChat.createdAt,
+        updatedAt: now
+    };
+    try {
+        await chatDb.put(record);
+    } catch (err) {
+        console.warn('[chat] Failed to save conversation:', err);
+    }
+    if (syncServer) await syncConversationToServer(record);
+    await renderConversationList();
+}
+
+async function renderConversationList() {
+    const [local, remote] = await Promise.all([
+        chatDb.getAll().catch(err => {
+            console.warn('[chat] Browser chat history unavailable:', err);
+            return [];
+        }),
+        fetch('/api/conversations')
+            .then(res => res.ok ? res.json() : [])
+            .catch(() => [])
+    ]);
+
+    // Merge both sources by id, keeping the most recently updated copy
+    const byId = new Map();
+    [...local, ...remote].forEach(c => {
+        const existing = byId.get(c.id);
+        if (!existing || isNewer(c, existing)) byId.set(c.id, c);
+    });
+    const items = Array.from(byId.values()).sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    if (items.length === 0) {
+        conversationList.innerHTML = '<div class="text-center text-muted small py-3">No saved chats yet</div>';
+        return;
+    }
+
+    const activeId = currentChat ? currentChat.id : null;
+    conversationList.innerHTML = items.map(c => `
+        <div class="list-group-item list-group-item-action conversation-item d-flex align-items-center gap-1 py-2 px-2 ${c.id === activeId ? 'active' : ''}"
+             data-conversation-id="${escapeHtml(c.id)}" title="${escapeHtml(c.title)}">
+            <div class="flex-grow-1 text-truncate small">
+                <div class="text-truncate">${escapeHtml(c.title)}</div>
+                <div class="conversation-meta text-truncate">${escapeHtml(c.model || '')} · ${new Date(c.updatedAt).toLocaleString()}</div>
+            </div>
+            <button class="btn btn-sm btn-link p-0 text-reset conversation-action" data-conversation-action="rename" title="Rename">✏️</button>
+            <button class="btn btn-sm btn-link p-0 text-reset conversation-action" data-conversation-action="delete" title="Delete">🗑️</button>
+        </div>
+    `).join('');
+}
+
+conversationList.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-conversation-id]');
+    if (!item) return;
+    const id = item.dataset.conversationId;
+    const action = e.target.closest('[data-conversation-action]');
+    if (!action) openConversation(id);
+    else if (action.dataset.conversationAction === 'rename') renameConversation(id);
+    else if (action.dataset.conversationAction === 'delete') deleteConversation(id);
+});
+
+async function openConversation(id) {
+    if (abortController) return; // don't swap chats mid-stream
+    chatCompare.close();
+    const record = await loadConversation(id);
+    if (!record) {
+        if (currentChat === null) setCurrentChat(null);
+        await renderConversationList();
+        return;
+    }
+
+    setCurrentChat({ id: record.id, title: record.title, createdAt: record.createdAt });
+    messageTree = record.tree && record.tree.children ? record.tree : treeFromMessages(record.messages);
+    conversation = activePath();
+    editingIndex = null;
+
+    // Restore the settings the chat was running with, where they still exist
+    if (record.model && Array.from(modelSelect.options).some(o => o.value === record.model)) {
+        modelSelect.value = record.model;
+        applyModelSettings();
+    }
+    selectSystemPrompt(record.systemPromptId, record.systemPrompt);
+    if (maxTokensSlider && record.maxTokens) {
+        maxTokensSlider.value = Math.min(record.maxTokens, parseInt(maxTokensSlider.max));
+        maxTokensValue.textContent = maxTokensSlider.value;
+    }
+    contextStrategySelect.value = record.contextStrategy || 'fail';
+
+    renderMessages();
+    await renderConversationList();
+
+    // A reply that was still streaming when the page went away: read it again from its server-side job
+    const last = conversation[conversation.length - 1];
+    if (last && last.role === 'assistant' && last.job) requestCompletion(conversation.length - 1, last.job);
+}
+
+async function renameConversation(id) {
+    try {
+        const record = await loadConversation(id);
+        if (!record) return;
+        const title = prompt('Rename conversation:', record.title);
+        if (title === null || !title.trim()) return;
+        record.title = title.trim();
+        record.updatedAt = new Date().toISOString();
+        await chatDb.put(record);
+        await syncConversationToServer(record);
+        if (currentChat && currentChat.id === id) currentChat.title = record.title;
+        await renderConversationList();
+    } catch (err) {
+        alert(`Error: ${err.message}`);
+    }
+}
+
+async function deleteConversation(id) {
+    if (!confirm('Delete this conversation?')) return;
+    try {
+        await chatDb.remove(id);
+        const res = await fetch(`/api/conversations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (!res.ok && res.status !== 404) {
+            const err = await res.json().catch(() => ({}));
+            alert(err.error || 'Failed to delete conversation on the server.');
+        }
+    } catch (err) {
+        alert(`Error: ${err.message}`);
+        return;
+    }
+    if (currentChat && currentChat.id === id) startNewChat();
+    await renderConversationList();
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+function exportConversation(format) {
+    if (conversation.length === 0) {
+        alert('Nothing to export yet -- start a chat first.');
+        return;
+    }
+    chatExport.download({
+        title: currentChat ? currentChat.title : titleFromConversation(),
+        model: modelSelect.value,
+        systemPrompt: getSystemPromptContent(),
+        parameters: getRequestParameters(),
+        messages: conversation.map(plainMessage),
+        tree: JSON.parse(JSON.stringify(messageTree)),
+        createdAt: currentChat ? currentChat.createdAt : null,
+        updatedAt: new Date().toISOString()
+    }, format);
+}
+
+document.querySelectorAll('[data-export-format]').forEach(item => {
+    item.addEventListener('click', () => exportConversation(item.dataset.exportFormat));
+});
+
+// ============================================================
+// Import (this app's JSON export or an OpenAI-style messages array)
+// ============================================================
+
+async function importConversationFile(file) {
+    let doc;
+    try {
+        doc = chatExport.parseImport(await file.text());
+    } catch (err) {
+        alert(`Could not import ${file.name}: ${err.message}`);
+        return;
+    }
+    await importConversation(doc);
+}
+
+async function importConversation(doc) {
+    if (abortController) {
+        alert('Wait for the current response to finish before importing.');
+        return;
+    }
+    messageTree = doc.tree || treeFromMessages(doc.messages);
+    conversation = activePath();
+    editingIndex = null;
+    setCurrentChat({ id: chatDb.newId(), title: doc.title || titleFromConversation(), createdAt: new Date().toISOString() });
+
+    if (doc.model && Array.from(modelSelect.options).some(o => o.value === doc.model)) {
+        modelSelect.value = doc.model;
+        applyModelSettings();
+    }
+    selectSystemPrompt(null, doc.systemPrompt);
+    if (Object.keys(doc.parameters).length > 0) samplingPanel.apply(doc.parameters);
+    const maxTokens = parseInt(doc.parameters.max_tokens);
+    if (maxTokensSlider && maxTokens > 0) {
+        maxTokensSlider.value = Math.min(maxTokens, parseInt(maxTokensSlider.max));
+        maxTokensValue.textContent = maxTokensSlider.value;
+    }
+
+    renderMessages();
+    await saveCurrentConversation(true);
+    if (doc.skipped > 0) {
+        alert(`Imported ${conversation.length} messages; ${doc.skipped} message(s) with other roles (tool, function) were skipped.`);
+    }
+}
+
+document.getElementById('btn-import').addEventListener('click', () => importFileInput.click());
+importFileInput.addEventListener('change', () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = ''; // allow picking the same file again
+    if (file) importConversationFile(file);
+});
+
+// Drag-and-drop anywhere on the chat column: a single JSON file that reads as a conversation is imported,
+// everything else is attached to the next message
+chatMain.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    chatMain.classList.add('drag-over');
+});
+chatMain.addEventListener('dragleave', (e) => {
+    if (!chatMain.contains(e.relatedTarget)) chatMain.classList.remove('drag-over');
+});
+chatMain.addEventListener('drop', async (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    chatMain.classList.remove('drag-over');
+    const files = Array.from(e.dataTransfer.files);
+    if (files.length === 0) return;
+    if (files.length === 1 && (/\.json$/i.test(files[0].name) || files[0].type === 'application/json')) {
+        let doc = null;
+        try {
+            doc = chatExport.parseImport(await files[0].text());
+        } catch {
+            // not a conversation -- attach it like any other file
+        }
+        if (doc) {
+            importConversation(doc);
+            return;
+        }
+    }
+    chatAttachments.addFiles(files);
+});
+
+function startNewChat() {
+    if (abortController) abortController.abort();
+    messageTree = newTreeRoot();
+    conversation = [];
+    editingIndex = null;
+    setCurrentChat(null);
+    renderMessages();
+    renderConversationList();
+}
+
 // Render messages
+// Each message lives in its own .chat-message wrapper so streaming can patch a single bubble
+// (see scheduleMessageUpdate) without touching the DOM -- or the text selection -- of the others.
 function renderMessages() {
+    cancelMessageUpdates();
+
     if (conversation.length === 0) {
         chatMessages.innerHTML = `
             <div class="text-center text-muted mt-5">
                 <h4>Welcome to FoundryLocalWebUI</h4>
                 <p>Select a model and start chatting</p>
+                <p class="small">Drop text, code, PDF or Word files here to attach them to your message,<br />or an exported chat / OpenAI <code>messages</code> JSON file to import it</p>
             </div>`;
+        updateContextMeter();
         return;
     }
 
-    const showThinking = showThinkingToggle && showThinkingToggle.checked;
+    chatMessages.innerHTML = conversation.map((msg, i) => messageWrapperHtml(msg, i)).join('');
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    updateContextMeter();
+}
 
-    chatMessages.innerHTML = conversation.map((msg, i) => {
-        const isUser = msg.role === 'user';
-        const contextWarning = msg.contextExceeded
-            ? `<div class="alert alert-warning py-1 px-2 mt-2 mb-0 small d-flex align-items-center gap-2">
-                 <span style="font-size:1.2em;">🚫</span>
-                 <span>Context limit reached -- this model's token window is full. <strong>Start a new chat</strong> to continue.</span>
-               </div>`
+function messageWrapperHtml(msg, i) {
+    return `<div class="chat-message" data-index="${i}">${renderMessageHtml(msg, i)}</div>`;
+}
+
+// "‹ 2/3 ›" for messages that have sibling versions
+function versionSwitcherHtml(i) {
+    const parent = parentOf(i);
+    const count = parent.children ? parent.children.length : 0;
+    if (count < 2) return '';
+    return `<span class="version-switcher small">
+                <button type="button" class="btn btn-sm btn-link p-0 text-reset" data-message-action="prev-version" title="Previous version">‹</button>
+                ${parent.selected + 1}/${count}
+                <button type="button" class="btn btn-sm btn-link p-0 text-reset" data-message-action="next-version" title="Next version">›</button>
+            </span>`;
+}
+
+// A bubble, dimmed and labelled when the last request left it out of the context
+function renderMessageHtml(msg, i) {
+    const bubble = messageBubbleHtml(msg, i);
+    if (msg.contextSummarized) {
+        const summary = msg.contextSummary
+            ? `<details class="context-summary small mb-3">
+                   <summary>📝 Summary sent in place of the messages above</summary>
+                   <div class="mt-1 message-content">${formatContent(msg.contextSummary)}</div>
+               </details>`
             : '';
+        return `<div class="context-note small">📝 Summarized to fit the context window</div><div class="context-excluded">${bubble}</div>${summary}`;
+    }
+    if (msg.contextDropped) {
+        return `<div class="context-note small">✂️ Dropped to fit the context window -- not sent to the model</div><div class="context-excluded">${bubble}</div>`;
+    }
+    return bubble;
+}
+
+function messageBubbleHtml(msg, i) {
+    const showThinking = showThinkingToggle && showThinkingToggle.checked;
+    const isUser = msg.role === 'user';
+    const contextWarning = msg.contextExceeded
+        ? `<div class="alert alert-warning py-1 px-2 mt-2 mb-0 small d-flex align-items-center gap-2">
+             <span style="font-size:1.2em;">🚫</span>
+             <span>Context limit reached -- this model's token window is full. <strong>Start a new chat</strong>, or set <strong>When Full</strong> to drop or summarize older turns.</span>
+           </div>`
+        : '';
 
-        if (isUser) {
+    // Max tokens tried by auto-retry for this reply, e.g. 4096 ✗ → 2048 ✗ → 1024 ✓
+    // (only numeric entries: imported or synced messages may carry anything)
+    const attempts = Array.isArray(msg.maxTokensAttempts)
+        ? msg.maxTokensAttempts.filter(a => a && Number.isInteger(a.maxTokens))
+        : [];
+    const retryNote = attempts.length > 0
+        ? `<div class="small text-muted mt-1">🔁 Connection closed, retried with smaller Max Tokens: ${attempts
+            .map(a => `${parseInt(a.maxTokens, 10)}${a.ok === true ? ' ✓' : a.ok === false ? ' ✗' : ''}`).join(' → ')}</div>`
+        : '';
+
+    if (isUser) {
+        if (i === editingIndex) {
             return `
-                <div class="d-flex mb-3 justify-content-end">
-                    <div class="card bg-primary text-white" style="max-width: 80%;">
-                        <div class="card-body py-2 px-3">
-                            <small class="fw-bold">You</small>
-                            <div class="mt-1 message-content">${formatContent(msg.content)}</div>
+            <div class="d-flex mb-3 justify-content-end">
+                <div class="card bg-primary text-white w-75">
+                    <div class="card-body py-2 px-3">
+                        <small class="fw-bold">You</small>
+                        <textarea class="form-control form-control-sm mt-1 message-edit-input" rows="4">${escapeHtml(msg.content)}</textarea>
+                        <div class="d-flex justify-content-end gap-2 mt-2">
+                            <button type="button" class="btn btn-sm btn-outline-light" data-message-action="cancel-edit">Cancel</button>
+                            <button type="button" class="btn btn-sm btn-light" data-message-action="submit-edit">Save &amp; Submit</button>
                         </div>
                     </div>
-                </div>`;
+                </div>
+            </div>`;
         }
-
-        // Assistant message — parse thinking vs answer
-        const parsed = parseThinkingAndAnswer(msg.content);
-        let html = '';
-
-        if (parsed.hasThinking && showThinking && parsed.thinking) {
-            html += `
-                <div class="d-flex mb-2 justify-content-start">
-                    <div class="card border-secondary" style="max-width: 80%; opacity: 0.75;">
-                        <div class="card-body py-2 px-3">
-                            <small class="fw-bold text-warning">🧠 Assistant - Thinking</small>
-                            <div class="mt-1 message-content thinking-content">${formatContent(parsed.thinking)}</div>
-                            ${parsed.thinkingInProgress ? '<div class="text-warning small mt-1"><em>⏳ Still thinking...</em></div>' : ''}
+        // Attached files show as chips; the edit box above keeps them inline so they can be changed too
+        const { text, files } = chatAttachments.split(msg.content);
+        return `
+            <div class="d-flex mb-3 justify-content-end">
+                <div class="card bg-primary text-white" style="max-width: 80%;">
+                    <div class="card-body py-2 px-3">
+                        <div class="d-flex align-items-center gap-2">
+                            <small class="fw-bold">You</small>
+                            ${versionSwitcherHtml(i)}
+                            <span class="message-actions ms-auto">
+                                <button type="button" class="btn btn-sm btn-link p-0 text-reset" data-message-action="edit" title="Edit and resend from here">✏️ Edit</button>
+                            </span>
                         </div>
+                        ${text ? `<div class="mt-1 message-content">${formatContent(text)}</div>` : ''}
+                        ${files.length > 0 ? `<div class="d-flex flex-wrap gap-1 mt-1">${files.map(f => chatAttachments.chipHtml(f)).join('')}</div>` : ''}
                     </div>
-                </div>`;
-        }
+                </div>
+            </div>`;
+    }
 
-        if (parsed.answer || !parsed.hasThinking) {
-            const displayContent = parsed.hasThinking ? parsed.answer : msg.content;
-            const label = parsed.hasThinking ? '🤖 Assistant - Answer' : '🤖 Assistant';
-            html += `
-                <div class="d-flex mb-3 justify-content-start">
-                    <div class="card bg-body-secondary" style="max-width: 80%;">
-                        <div class="card-body py-2 px-3">
-                            <small class="fw-bold">${label}</small>
-                            <div class="mt-1 message-content">${formatContent(displayContent)}</div>
-                            ${contextWarning}
-                        </div>
-                    </div>
-                </div>`;
-        } else if (parsed.hasThinking && !parsed.answer && !showThinking) {
-            // Thinking in progress but toggle is off — show a waiting indicator
-            html += `
-                <div class="d-flex mb-3 justify-content-start">
-                    <div class="card bg-body-secondary" style="max-width: 80%;">
-                        <div class="card-body py-2 px-3">
+    const regenerateAction = i === conversation.length - 1
+        ? `<span class="message-actions ms-auto">
+               <button type="button" class="btn btn-sm btn-link p-0 text-reset" data-message-action="regenerate" title="Run the same request again">🔄 Regenerate</button>
+           </span>`
+        : '';
+
+    // finish_reason "length": the reply hit max_tokens mid-answer, so offer to pick it up where it stopped
+    const continueAction = msg.finishReason === 'length' && i === conversation.length - 1
+        ? `<div class="message-actions small text-warning mt-1">
+               ✂️ Cut off at the max tokens limit
+               <button type="button" class="btn btn-sm btn-outline-warning py-0 ms-2" data-message-action="continue" title="Send the reply back and let the model carry on">⏩ Continue</button>
+           </div>`
+        : '';
+
+    // Assistant message -- thinking segments are collapsible "Thought for Ns" blocks among the answer text
+    const parsed = parseThinkingAndAnswer(msg.content);
+    const expanded = expandedThinking.get(msg);
+    let thinkingCount = 0;
+    const body = parsed.segments.map(segment => {
+        if (segment.type === 'answer') return `<div class="mt-1 message-content">${formatContent(segment.text)}</div>`;
+        const k = thinkingCount++;
+        const open = expanded && expanded.has(k) ? expanded.get(k) : showThinking;
+        return thinkingBlockHtml(segment, (msg.thinkingTimes || [])[k], k, open);
+    }).join('');
+
+    return `
+            <div class="d-flex mb-3 justify-content-start">
+                <div class="card bg-body-secondary" style="max-width: 80%;">
+                    <div class="card-body py-2 px-3">
+                        <div class="d-flex align-items-center gap-2">
                             <small class="fw-bold">🤖 Assistant</small>
-                            <div class="mt-1 message-content"><em>⏳ Thinking...</em></div>
+                            ${versionSwitcherHtml(i)}
+                            ${regenerateAction}
                         </div>
+                        ${body}
+                        ${chatKnowledge.sourcesHtml(msg.sources)}
+                        ${contextWarning}
+                        ${retryNote}
+                        ${continueAction}
+                        ${msg.metrics ? metricsHtml(msg.metrics) : ''}
                     </div>
-                </div>`;
+                </div>
+            </div>`;
+}
+
+// Thinking blocks the user opened or closed by hand keep that state when a streaming reply re-renders
+let expandedThinking = new WeakMap(); // message -> Map(thinking block index -> open)
+
+chatMessages.addEventListener('toggle', (e) => {
+    const block = e.target;
+    if (!block.dataset || block.dataset.thinkingKey === undefined) return;
+    const msg = conversation[parseInt(block.closest('.chat-message').dataset.index)];
+    if (!msg) return;
+    if (!expandedThinking.has(msg)) expandedThinking.set(msg, new Map());
+    expandedThinking.get(msg).set(parseInt(block.dataset.thinkingKey), block.open);
+}, true); // toggle doesn't bubble
+
+// ============================================================
+// Edit & regenerate
+// ============================================================
+
+let editingIndex = null; // index of the user message being edited in place
+
+function startEditMessage(index) {
+    const previous = editingIndex;
+    editingIndex = index;
+    if (previous !== null) scheduleMessageUpdate(previous);
+    scheduleMessageUpdate(index);
+    flushMessageUpdates();
+    const input = chatMessages.querySelector(`.chat-message[data-index="${index}"] .message-edit-input`);
+    if (input) {
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+    }
+}
+
+function cancelEditMessage() {
+    const index = editingIndex;
+    editingIndex = null;
+    if (index !== null) {
+        scheduleMessageUpdate(index);
+        flushMessageUpdates();
+    }
+}
+
+// Adds the edited text as a new version of the message (the original and its replies stay
+// reachable through the version switcher) and asks the model again from there
+async function submitEditMessage() {
+    const index = editingIndex;
+    const input = chatMessages.querySelector(`.chat-message[data-index="${index}"] .message-edit-input`);
+    const text = input ? input.value.trim() : '';
+    if (!text) return;
+    editingIndex = null;
+    addVersion(index, { role: 'user', content: text });
+    renderMessages();
+    await requestCompletion();
+}
+
+// Re-runs the request behind the last reply; the new reply becomes a sibling version of the old one
+async function regenerateLastResponse() {
+    const last = conversation[conversation.length - 1];
+    if (!last || last.role !== 'assistant') return;
+    conversation.pop();
+    await requestCompletion();
+}
+
+chatMessages.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-message-action]');
+    if (!button || abortController) return;
+    const index = parseInt(button.closest('.chat-message').dataset.index);
+    switch (button.dataset.messageAction) {
+        case 'edit': startEditMessage(index); break;
+        case 'cancel-edit': cancelEditMessage(); break;
+        case 'submit-edit': submitEditMessage(); break;
+        case 'regenerate': regenerateLastResponse(); break;
+        case 'continue': requestCompletion(index); break;
+        case 'prev-version': switchVersion(index, -1); break;
+        case 'next-version': switchVersion(index, 1); break;
+    }
+});
+
+chatMessages.addEventListener('keydown', (e) => {
+    if (!e.target.classList.contains('message-edit-input')) return;
+    if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        submitEditMessage();
+    } else if (e.key === 'Escape') {
+        cancelEditMessage();
+    }
+});
+
+// Streaming updates: indexes of messages whose bubbles need re-rendering on the next animation frame
+const pendingMessageUpdates = new Set();
+let messageUpdateFrame = null;
+
+function scheduleMessageUpdate(index) {
+    pendingMessageUpdates.add(index);
+    if (messageUpdateFrame === null) {
+        messageUpdateFrame = requestAnimationFrame(flushMessageUpdates);
+    }
+}
+
+function cancelMessageUpdates() {
+    if (messageUpdateFrame !== null) cancelAnimationFrame(messageUpdateFrame);
+    messageUpdateFrame = null;
+    pendingMessageUpdates.clear();
+}
+
+// Patches only the pending bubbles; new trailing messages are appended, anything else falls back to a full render
+function flushMessageUpdates() {
+    const indexes = Array.from(pendingMessageUpdates).sort((a, b) => a - b);
+    cancelMessageUpdates();
+    if (indexes.length === 0) return;
+
+    // Keep following the stream only if the user hasn't scrolled up to read earlier messages
+    const atBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 40;
+
+    for (const i of indexes) {
+        const msg = conversation[i];
+        const el = chatMessages.querySelector(`.chat-message[data-index="${i}"]`);
+        if (!msg) {
+            if (el) el.remove();
+        } else if (el) {
+            el.innerHTML = renderMessageHtml(msg, i);
+        } else if (chatMessages.querySelectorAll('.chat-message').length === i) {
+            if (i === 0) chatMessages.innerHTML = '';
+            chatMessages.insertAdjacentHTML('beforeend', messageWrapperHtml(msg, i));
+        } else {
+            renderMessages();
+            return;
         }
+    }
 
-        return html;
-    }).join('');
+    if (atBottom) chatMessages.scrollTop = chatMessages.scrollHeight;
+    updateContextMeter();
+}
 
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+// ============================================================
+// Response metrics: time to first token, generation speed and token counts
+// ============================================================
+
+// Token counts come from Foundry's `usage` when it sends one, otherwise from estimateTokens()
+function responseMetrics(startedAt, firstTokenAt, endedAt, content, usage) {
+    const reported = usage && usage.completionTokens > 0;
+    const completionTokens = reported ? usage.completionTokens : estimateTokens(content);
+    const generationSeconds = firstTokenAt ? (endedAt - firstTokenAt) / 1000 : 0;
+    return {
+        ttftMs: firstTokenAt ? Math.round(firstTokenAt - startedAt) : null,
+        durationMs: Math.round(endedAt - startedAt),
+        completionTokens,
+        promptTokens: reported ? usage.promptTokens : null,
+        tokensPerSecond: generationSeconds > 0 ? Math.round(completionTokens / generationSeconds * 10) / 10 : null,
+        estimated: !reported
+    };
+}
+
+function metricsText(m) {
+    const parts = [];
+    if (m.ttftMs !== null) parts.push(`⚡ ${(m.ttftMs / 1000).toFixed(2)}s to first token`);
+    if (m.tokensPerSecond !== null) parts.push(`${m.tokensPerSecond} tok/s`);
+    parts.push(`${m.estimated ? '~' : ''}${m.completionTokens.toLocaleString()} tokens`);
+    parts.push(`${(m.durationMs / 1000).toFixed(1)}s total`);
+    return parts.join(' · ');
+}
+
+function metricsHtml(m) {
+    const source = m.estimated
+        ? 'Token count estimated from the text (the server did not report usage)'
+        : `Reported by the server: ${m.promptTokens} prompt + ${m.completionTokens} completion tokens`;
+    return `<div class="message-metrics small mt-1" title="${escapeHtml(source)}">${escapeHtml(metricsText(m))}</div>`;
 }
 
 function formatContent(text) {
-    // Basic markdown: code blocks, inline code, bold, newlines
-    return text
-        .replace(/```(\w*)\n([\s\S]*?)```/g, '<pre><code class="language-$1">$2</code></pre>')
-        .replace(/`([^`]+)`/g, '<code>$1</code>')
-        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-        .replace(/\n/g, '<br>');
+    // Markdown with all raw HTML escaped (see markdown.js) -- model output never reaches innerHTML unescaped
+    return markdown.render(text);
 }
 
 // Send message
 async function sendMessage() {
-    const text = chatInput.value.trim();
-    if (!text || !modelSelect.value) return;
+    if (chatCommands.run(chatInput.value.trim())) return;
+    await sendInput();
+}
+
+// Sends the input as a message even when it starts with "/" (a filled-in template is never a command)
+async function sendInput() {
+    const text = chatAttachments.compose(chatInput.value.trim());
+    if (!text || abortController) return;
+    if (chatAttachments.hasPending()) {
+        const used = estimatePromptTokens();
+        const limit = contextLengthFor(modelSelect.value);
+        if (used > limit && !confirm(`With the attached files this request is about ${used.toLocaleString()} tokens, ` +
+            `more than the model's ${limit.toLocaleString()}-token context window. Send anyway?`)) return;
+    }
+    if (chatCompare.isActive()) {
+        if (chatCompare.send(text)) {
+            chatInput.value = '';
+            chatAttachments.clear();
+        }
+        return;
+    }
+    if (!modelSelect.value) return;
+
+    appendMessage({ role: 'user', content: text });
+    chatInput.value = '';
+    chatAttachments.clear();
+    scheduleMessageUpdate(conversation.length - 2); // previous reply loses its Regenerate button
+    scheduleMessageUpdate(conversation.length - 1);
+    await requestCompletion();
+}
+
+// Streams a reply to the conversation as it stands (ending with a user message) into a new assistant bubble.
+// With `continueIndex`, the reply at that index (cut off by max_tokens) is sent back as the last message
+// and the new tokens are appended to it. With `resumeJob` as well (the msg.job a reload left behind), nothing
+// is sent: the reply is read again from the server-side job (see chat-jobs.js).
+async function requestCompletion(continueIndex = null, resumeJob = null) {
+    const resuming = resumeJob !== null;
+    if (!modelSelect.value && !resuming) return;
 
     const selectedOption = modelSelect.selectedOptions[0];
-    const provider = selectedOption.dataset.provider || 'foundry';
+    const provider = (selectedOption && selectedOption.dataset.provider) || 'foundry';
+    const continuing = continueIndex !== null;
 
-    conversation.push({ role: 'user', content: text });
-    conversation.push({ role: 'assistant', content: '⏳ Thinking...' });
-    const thinkingIdx = conversation.length - 1;
-    renderMessages();
+    if (!resuming) saveCurrentConversation();
+    if (!continuing) appendMessage({ role: 'assistant', content: '⏳ Thinking...' });
+    const thinkingIdx = continuing ? continueIndex : conversation.length - 1;
+    const partial = resuming ? resumeJob.partial : continuing ? conversation[thinkingIdx].content : '';
+    const withPartial = (text) => partial ? `${partial}\n\n${text}` : text;
+    delete conversation[thinkingIdx].finishReason;
+    scheduleMessageUpdate(thinkingIdx);
+    flushMessageUpdates();
+    chatMessages.scrollTop = chatMessages.scrollHeight;
 
-    chatInput.value = '';
     setLoading(true);
 
     abortController = new AbortController();
     let receivedContent = false;
+    let startedAt = 0;
+    let firstTokenAt = 0;
+    let usage = null;
+    let reasoning = reasoningStream();
+    const thinkingStarts = [];
 
     try {
-        console.log(`[chat] Sending to /api/chat?provider=${provider}, model=${modelSelect.value}`);
-        // Build messages array with optional system prompt
-        const chatMessages_arr = conversation.filter((m, i) => i < thinkingIdx).map(m => ({role: m.role, content: m.content}));
-        const sysPrompt = getSystemPromptContent();
-        if (sysPrompt) {
-            chatMessages_arr.unshift({ role: 'system', content: sysPrompt });
+        // Search the knowledge base once per question; regenerating reuses the excerpts found the first time
+        const question = conversation[thinkingIdx - 1];
+        if (!continuing && chatKnowledge.isEnabled() && !chatKnowledge.matches(question.retrieval)) {
+            conversation[thinkingIdx].content = '📚 Searching the knowledge base...';
+            scheduleMessageUpdate(thinkingIdx);
+            flushMessageUpdates();
+            question.retrieval = await chatKnowledge.retrieve(chatAttachments.split(question.content).text || question.content, abortController.signal);
+            conversation[thinkingIdx].content = '⏳ Thinking...';
         }
-        const maxTokens = maxTokensSlider ? parseInt(maxTokensSlider.value) : 4096;
-        const res = await fetch(`/api/chat?provider=${provider}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: modelSelect.value,
-                messages: chatMessages_arr,
-                stream: true,
-                temperature: 0.7,
-                max_tokens: maxTokens
-            }),
-            signal: abortController.signal
+        if (!continuing && chatKnowledge.matches(question.retrieval) && question.retrieval.chunks.length > 0) {
+            conversation[thinkingIdx].sources = question.retrieval;
+        }
+
+        console.log(resuming ? `[chat] Resuming job ${resumeJob.id}` : `[chat] Sending to /api/chat?provider=${provider}, model=${modelSelect.value}`);
+        // Build messages array with optional system prompt, trimmed or summarized per the chat's context strategy
+        const chatMessages_arr = resuming ? null : await buildRequestMessages(provider, continuing ? thinkingIdx + 1 : thinkingIdx, abortController.signal, () => {
+            if (continuing) return; // keep the partial reply on screen
+            conversation[thinkingIdx].content = '📝 Summarizing earlier messages to fit the context window...';
+            scheduleMessageUpdate(thinkingIdx);
         });
+        flushMessageUpdates();
+        let maxTokens = getRequestParameters().max_tokens;
+        const initialThinkingTimes = (conversation[thinkingIdx].thinkingTimes || []).slice();
+        if (!resuming) delete conversation[thinkingIdx].maxTokensAttempts;
 
-        console.log(`[chat] Response status: ${res.status} ${res.statusText}`);
+        // One pass per attempt; a connection_closed with auto-retry on goes round again with a smaller max_tokens
+        while (true) {
+            startedAt = performance.now();
+            let res = resuming
+                ? await chatJobs.resume(resumeJob.id, null, abortController.signal)
+                : await chatJobs.start(provider, {
+                    model: modelSelect.value,
+                    messages: chatMessages_arr,
+                    stream: true,
+                    ...getRequestParameters(),
+                    max_tokens: maxTokens
+                }, abortController.signal);
 
-        if (!res.ok) {
-            let errText = '';
-            try { errText = await res.text(); } catch {}
-            conversation[thinkingIdx].content = `⚠️ HTTP ${res.status}: ${errText || res.statusText}`;
-            renderMessages();
-            setLoading(false);
-            abortController = null;
-            return;
-        }
+            console.log(`[chat] Response status: ${res.status} ${res.statusText}`);
 
-        const reader = res.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
+            if (!res.ok) {
+                let errText = '';
+                try { errText = await res.text(); } catch {}
+                conversation[thinkingIdx].content = withPartial(resuming && res.status === 404
+                    ? '⚠️ This reply was lost -- the server no longer has the generation (it restarted, or the reply expired). Regenerate to try again.'
+                    : `⚠️ HTTP ${res.status}: ${errText || res.statusText}`);
+                delete conversation[thinkingIdx].job;
+                scheduleMessageUpdate(thinkingIdx);
+                flushMessageUpdates();
+                setLoading(false);
+                abortController = null;
+                saveCurrentConversation(true);
+                return;
+            }
 
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) {
-                console.log('[chat] Stream ended');
-                break;
+            // Remember the job on the reply so a reload can pick the stream up again (cleared when it ends)
+            const jobId = res.headers.get('X-Chat-Job-Id');
+            if (jobId && !resuming) {
+                conversation[thinkingIdx].job = { id: jobId, partial };
+                saveCurrentConversation();
             }
 
-            const chunk = decoder.decode(value, { stream: true });
-            buffer += chunk;
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
-
-            for (const line of lines) {
-                if (!line.trim()) continue;
-
-                if (line.startsWith('data: ')) {
-                    const dataStr = line.substring(6);
-                    try {
-                        const data = JSON.parse(dataStr);
-                        if (!receivedContent && (data.content || data.error)) {
-                            conversation[thinkingIdx].content = '';
-                            receivedContent = true;
-                        }
-                        if (data.content) {
-                            conversation[thinkingIdx].content += data.content;
-                        }
-                        if (data.error) {
-                            if (data.error === 'context_length_exceeded') {
-                                conversation[thinkingIdx].content += '\n\n⚠️ **Context limit reached** -- The conversation is too long for this model. Start a new chat or use a model with a larger context window.';
-                                conversation[thinkingIdx].contextExceeded = true;
-                            } else if (data.error === 'connection_closed') {
-                                conversation[thinkingIdx].content += '\n\n⚠️ **Connection lost** -- Foundry Local closed the connection. This usually means the max tokens setting exceeds the model\'s capacity. Try lowering Max Tokens.';
-                            } else {
-                                conversation[thinkingIdx].content += `\n\n⚠️ Error: ${data.error}`;
+            let reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let streamError = null;
+            let retryWith = null;
+            let pendingEventId = null;
+            let lastEventId = null;
+            let reconnects = 0;
+
+            while (!retryWith) {
+                let done, value;
+                try {
+                    ({ done, value } = await reader.read());
+                } catch (err) {
+                    // Dropped mid-reply: reattach to the job from the last event we handled
+                    if (err.name === 'AbortError' || !jobId || reconnects >= MAX_STREAM_RECONNECTS) throw err;
+                    reconnects++;
+                    console.warn(`[chat] Stream dropped (${err.message}), reconnecting to job ${jobId} after event ${lastEventId}`);
+                    res = await chatJobs.resume(jobId, lastEventId, abortController.signal);
+                    if (!res.ok) throw err;
+                    reader = res.body.getReader();
+                    buffer = '';
+                    pendingEventId = null;
+                    continue;
+                }
+                if (done) {
+                    console.log('[chat] Stream ended');
+                    break;
+                }
+
+                const chunk = decoder.decode(value, { stream: true });
+                buffer += chunk;
+                const lines = buffer.split('\n');
+                buffer = lines.pop() || '';
+
+                for (const line of lines) {
+                    if (!line.trim()) continue;
+
+                    if (line.startsWith('data: ')) {
+                        const dataStr = line.substring(6);
+                        try {
+                            lastEventId = pendingEventId;
+                            const data = JSON.parse(dataStr);
+                            if (data.error === 'connection_closed' && !resuming && (retryWith = retryMaxTokens(maxTokens))) break;
+                            if (!receivedContent && (data.content || data.reasoning || data.error)) {
+                                conversation[thinkingIdx].content = partial;
+                                receivedContent = true;
                             }
+                            if (data.content || data.reasoning) {
+                                if (!firstTokenAt) firstTokenAt = performance.now();
+                                conversation[thinkingIdx].content = reasoning.append(conversation[thinkingIdx].content, data);
+                                trackThinkingTimes(conversation[thinkingIdx], thinkingStarts, performance.now());
+                            }
+                            if (data.usage) usage = data.usage;
+                            if (data.finishReason) conversation[thinkingIdx].finishReason = data.finishReason;
+                            if (data.error) {
+                                streamError = data.error;
+                                conversation[thinkingIdx].content = reasoning.close(conversation[thinkingIdx].content);
+                                if (data.error === 'context_length_exceeded') {
+                                    conversation[thinkingIdx].content += '\n\n⚠️ **Context limit reached** -- The conversation is too long for this model. Start a new chat or use a model with a larger context window.';
+                                    conversation[thinkingIdx].contextExceeded = true;
+                                } else if (data.error === 'connection_closed') {
+                                    conversation[thinkingIdx].content += conversation[thinkingIdx].maxTokensAttempts
+                                        ? `\n\n⚠️ **Connection lost** -- Foundry Local closed the connection even with Max Tokens at ${maxTokens}. The model may have stopped or run out of memory.`
+                                        : '\n\n⚠️ **Connection lost** -- Foundry Local closed the connection. This usually means the max tokens setting exceeds the model\'s capacity. Try lowering Max Tokens, or turn on 🔁 Auto-retry.';
+                                } else {
+                                    conversation[thinkingIdx].content += `\n\n⚠️ Error: ${data.error}`;
+                                }
+                            }
+                            scheduleMessageUpdate(thinkingIdx);
+                        } catch (parseErr) {
+                            console.warn('[chat] Failed to parse:', dataStr, parseErr);
                         }
-                        renderMessages();
-                    } catch (parseErr) {
-                        console.warn('[chat] Failed to parse:', dataStr, parseErr);
+                    } else if (line.startsWith('id: ')) {
+                        pendingEventId = parseInt(line.substring(4));
+                    } else if (line.startsWith('event: ')) {
+                        console.log('[chat] Event type:', line.substring(7));
                     }
-                } else if (line.startsWith('event: ')) {
-                    console.log('[chat] Event type:', line.substring(7));
                 }
             }
+
+            const attempts = conversation[thinkingIdx].maxTokensAttempts;
+            if (!retryWith) {
+                if (attempts) {
+                    attempts[attempts.length - 1].ok = receivedContent && !streamError;
+                    if (attempts[attempts.length - 1].ok) rememberWorkingMaxTokens(modelSelect.value, maxTokens);
+                    scheduleMessageUpdate(thinkingIdx);
+                }
+                break;
+            }
+
+            // Start the reply over with the smaller max_tokens; the attempts so far stay listed in the bubble
+            console.warn(`[chat] Connection closed with max_tokens=${maxTokens}, retrying with ${retryWith}`);
+            reader.cancel().catch(() => {});
+            if (attempts) attempts[attempts.length - 1].ok = false;
+            conversation[thinkingIdx].maxTokensAttempts = [...(attempts || [{ maxTokens, ok: false }]), { maxTokens: retryWith }];
+            conversation[thinkingIdx].content = withPartial(`🔁 Retrying with Max Tokens ${retryWith}...`);
+            conversation[thinkingIdx].thinkingTimes = initialThinkingTimes.slice();
+            delete conversation[thinkingIdx].finishReason;
+            scheduleMessageUpdate(thinkingIdx);
+            flushMessageUpdates();
+            receivedContent = false;
+            firstTokenAt = 0;
+            usage = null;
+            reasoning = reasoningStream();
+            thinkingStarts.length = 0;
+            maxTokens = retryWith;
         }
 
+        conversation[thinkingIdx].content = reasoning.close(conversation[thinkingIdx].content);
         if (!receivedContent) {
             console.warn('[chat] No content received from stream');
-            conversation[thinkingIdx].content = '⚠️ No response received. The model may still be loading -- try again in a moment.';
-            renderMessages();
+            conversation[thinkingIdx].content = withPartial('⚠️ No response received. The model may still be loading -- try again in a moment.');
+            scheduleMessageUpdate(thinkingIdx);
         }
     } catch (err) {
         console.error('[chat] Error:', err);
+        conversation[thinkingIdx].content = reasoning.close(conversation[thinkingIdx].content);
         if (err.name !== 'AbortError') {
-            conversation[thinkingIdx].content = `⚠️ Error: ${err.message}`;
-            renderMessages();
+            conversation[thinkingIdx].content = withPartial(`⚠️ Error: ${err.message}`);
+            scheduleMessageUpdate(thinkingIdx);
         }
     }
 
+    // A resumed job replays its buffered tokens all at once, so timings would be meaningless
+    if (firstTokenAt && !resuming) {
+        trackThinkingTimes(conversation[thinkingIdx], thinkingStarts, performance.now(), true);
+        // Only the text this request streamed: after a Continue the reply also holds the earlier partial answer
+        const content = conversation[thinkingIdx].content;
+        const streamed = content.startsWith(partial) ? content.slice(partial.length) : content;
+        conversation[thinkingIdx].metrics = responseMetrics(startedAt, firstTokenAt, performance.now(), streamed, usage);
+        scheduleMessageUpdate(thinkingIdx);
+    }
+    delete conversation[thinkingIdx].job;
+    flushMessageUpdates();
     setLoading(false);
     abortController = null;
+    saveCurrentConversation(true);
 }
 
 function setLoading(loading) {
+    chatMessages.classList.toggle('is-streaming', loading);
     btnSend.classList.toggle('d-none', loading);
     btnStop.classList.toggle('d-none', !loading);
     chatInput.disabled = loading;
+    btnTemplates.disabled = loading;
     sendText.classList.toggle('d-none', loading);
     sendSpinner.classList.toggle('d-none', !loading);
 }
@@ -351,10 +1522,9 @@ btnSend.addEventListener('click', sendMessage);
 btnStop.addEventListener('click', () => {
     if (abortController) abortController.abort();
 });
-btnNewChat.addEventListener('click', () => {
-    conversation = [];
-    renderMessages();
-});
+btnNewChat.addEventListener('click', startNewChat);
+chatInput.addEventListener('input', updateContextMeter);
+promptSelect.addEventListener('change', updateContextMeter);
 chatInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
@@ -362,9 +1532,18 @@ chatInput.addEventListener('keydown', (e) => {
     }
 });
 if (showThinkingToggle) {
-    showThinkingToggle.addEventListener('change', renderMessages);
+    showThinkingToggle.addEventListener('change', () => {
+        expandedThinking = new WeakMap(); // the switch applies to every block again
+        renderMessages();
+    });
 }
+codeBlocks.attach(chatMessages);
 
-// Init
-loadModels();
-loadSystemPrompts();
+// Init: once the model, prompt and preset selectors are populated, reopen the conversation named
+// in the URL (/?c=id) or, failing that, the one open last time
+Promise.all([loadModels(), loadSystemPrompts(), samplingPanel.loadPresets(), chatKnowledge.loadCollections(), chatTemplates.loadTemplates()]).then(() => {
+    applyModelSettings();
+    const id = new URLSearchParams(window.location.search).get('c') || localStorage.getItem('chat-current-id');
+    if (id) openConversation(id);
+    else renderConversationList();
+});
@@ -0,0 +1,261 @@
+// code-blocks.js - Syntax highlighting, line numbers and copy/download buttons for fenced code blocks
+const codeBlocks = (() => {
+    const LINE_NUMBER_THRESHOLD = 10; // blocks longer than this get line numbers
+
+    const C_COMMENTS = [['comment', /\/\/[^\n]*/y], ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y]];
+    const HASH_COMMENTS = [['comment', /#[^\n]*/y]];
+    const QUOTED_STRINGS = [['string', /"(?:\\[\s\S]|[^"\\\n])*"?/y], ['string', /'(?:\\[\s\S]|[^'\\\n])*'?/y]];
+    const NUMBERS = [['number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b/y]];
+
+    const words = list => new Set(list.split(' '));
+    const C_FAMILY_LITERALS = words('true false null undefined nullptr nil this self super None True False');
+
+    // Each language: ordered token rules tried at every position, plus keyword/literal sets for identifiers
+    const LANGUAGES = {
+        javascript: {
+            rules: [...C_COMMENTS, ['string', /`(?:\\[\s\S]|[^`\\])*`?/y], ...QUOTED_STRINGS, ...NUMBERS],
+            keywords: words('async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static switch throw try typeof var void while with yield interface type enum implements private public protected readonly declare namespace abstract as keyof')
+        },
+        python: {
+            rules: [...HASH_COMMENTS, ['string', /[rbfuRBFU]{0,2}"""[\s\S]*?(?:"""|$)/y], ['string', /[rbfuRBFU]{0,2}'''[\s\S]*?(?:'''|$)/y], ['string', /[rbfuRBFU]{0,2}"(?:\\[\s\S]|[^"\\\n])*"?/y], ['string', /[rbfuRBFU]{0,2}'(?:\\[\s\S]|[^'\\\n])*'?/y], ...NUMBERS, ['meta', /@[\w.]+/y]],
+            keywords: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda match case nonlocal not or pass raise return try while with yield print len range self')
+        },
+        csharp: {
+            rules: [...C_COMMENTS, ['string', /\$?@?"(?:""|\\[\s\S]|[^"\\])*"?/y], ['string', /'(?:\\[\s\S]|[^'\\\n])*'?/y], ...NUMBERS, ['meta', /^\s*#\w+/my]],
+            keywords: words('abstract as async await base bool break byte case catch char checked class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach get goto if implicit in init int interface internal is lock long namespace new object operator out override params private protected public readonly record ref return sbyte sealed set short sizeof static string struct switch throw try typeof uint ulong unchecked unsafe ushort using var virtual void volatile when where while yield')
+        },
+        java: {
+            rules: [...C_COMMENTS, ...QUOTED_STRINGS, ...NUMBERS, ['meta', /@\w+/y]],
+            keywords: words('abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for fun goto if implements import instanceof int interface long native new package private protected public return short static strictfp super switch synchronized throw throws transient try val var void volatile when while')
+        },
+        c: {
+            rules: [...C_COMMENTS, ...QUOTED_STRINGS, ...NUMBERS, ['meta', /^\s*#\s*\w+[^\n]*/my]],
+            keywords: words('auto bool break case char class const constexpr continue default delete do double else enum explicit extern float for friend goto if inline int long namespace new noexcept operator private protected public register return short signed sizeof static struct switch template throw try typedef typename union unsigned using virtual void volatile while std include define')
+        },
+        go: {
+            rules: [...C_COMMENTS, ['string', /`[^`]*`?/y], ...QUOTED_STRINGS, ...NUMBERS],
+            keywords: words('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var string int int64 float64 bool error byte rune make append len')
+        },
+        rust: {
+            rules: [...C_COMMENTS, ['string', /r#*"[\s\S]*?"#*/y], ['string', /"(?:\\[\s\S]|[^"\\])*"?/y], ['string', /b?'(?:\\.|[^'\\\n])'/y], ...NUMBERS, ['meta', /#!?\[[^\]\n]*\]/y]],
+            keywords: words('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return static struct trait type unsafe use where while Self String Vec Option Result Some Ok Err Box i32 i64 u8 u32 u64 usize f32 f64 bool str')
+        },
+        shell: {
+            rules: [...HASH_COMMENTS, ['string', /"(?:\\[\s\S]|[^"\\])*"?/y], ['string', /'[^']*'?/y], ['variable', /\$\{[^}\n]*\}|\$[\w@#?$!*-]+/y], ...NUMBERS],
+            keywords: words('if then else elif fi for while until do done case esac in function return exit export local readonly set unset echo cd sudo source alias')
+        },
+        powershell: {
+            rules: [['comment', /<#[\s\S]*?(?:#>|$)/y], ...HASH_COMMENTS, ['string', /"(?:`[\s\S]|[^"`])*"?/y], ['string', /'(?:''|[^'])*'?/y], ['variable', /\$[\w:]+/y], ['keyword', /\b[A-Z][a-z]+-[A-Z]\w+/y], ['operator', /-(?:eq|ne|gt|ge|lt|le|like|notlike|match|notmatch|contains|notcontains|in|notin|and|or|not|replace|split|join|f)\b/iy], ...NUMBERS],
+            keywords: words('begin break catch class continue data do dynamicparam else elseif end exit filter finally for foreach from function if in param process return switch throw trap try until using var while'),
+            ignoreCase: true
+        },
+        sql: {
+            rules: [['comment', /--[^\n]*/y], ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y], ['string', /'(?:''|[^'])*'?/y], ['string', /"[^"\n]*"?/y], ...NUMBERS],
+            keywords: words('select from where and or not insert into values update set delete create table alter drop index view join inner left right outer full on as group by order having limit offset distinct union all case when then else end is null like in between exists primary key foreign references default constraint unique top with asc desc count sum avg min max begin commit rollback transaction declare procedure function returns int varchar nvarchar text datetime bit'),
+            ignoreCase: true
+        },
+        json: {
+            rules: [['property', /"(?:\\[\s\S]|[^"\\\n])*"(?=\s*:)/y], ['string', /"(?:\\[\s\S]|[^"\\\n])*"?/y], ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y]],
+            keywords: new Set()
+        },
+        yaml: {
+            rules: [...HASH_COMMENTS, ['property', /^[ \t-]*[\w.\-"']+(?=\s*:(?:\s|$))/my], ...QUOTED_STRINGS, ...NUMBERS],
+            keywords: new Set()
+        },
+        markup: {
+            rules: [['comment', /<!--[\s\S]*?(?:-->|$)/y], ['tag', /<\/?[\w:-]+/y], ['tag', /\/?>/y], ['property', /[\w:-]+(?==)/y], ...QUOTED_STRINGS],
+            keywords: new Set()
+        },
+        css: {
+            rules: [['comment', /\/\*[\s\S]*?(?:\*\/|$)/y], ...QUOTED_STRINGS, ['property', /[\w-]+(?=\s*:[^;{}]*[;}])/y], ['number', /#[\da-fA-F]{3,8}\b|-?\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg)?\b/y], ['meta', /@[\w-]+/y]],
+            keywords: words('important inherit initial auto none block flex grid inline absolute relative fixed solid')
+        }
+    };
+
+    const ALIASES = {
+        js: 'javascript', jsx: 'javascript', mjs: 'javascript', ts: 'javascript', tsx: 'javascript', typescript: 'javascript', node: 'javascript',
+        py: 'python', python3: 'python',
+        cs: 'csharp', 'c#': 'csharp', dotnet: 'csharp',
+        kotlin: 'java', kt: 'java', scala: 'java', swift: 'java', php: 'java',
+        cpp: 'c', 'c++': 'c', h: 'c', hpp: 'c', cc: 'c', objc: 'c',
+        golang: 'go', rs: 'rust',
+        bash: 'shell', sh: 'shell', zsh: 'shell', console: 'shell', shellsession: 'shell', dockerfile: 'shell', makefile: 'shell',
+        ps: 'powershell', ps1: 'powershell', pwsh: 'powershell',
+        mysql: 'sql', postgresql: 'sql', postgres: 'sql', tsql: 'sql', sqlite: 'sql',
+        jsonc: 'json', json5: 'json',
+        yml: 'yaml', toml: 'yaml', ini: 'yaml',
+        html: 'markup', xml: 'markup', svg: 'markup', xaml: 'markup', csproj: 'markup', razor: 'markup', cshtml: 'markup', vue: 'markup',
+        scss: 'css', less: 'css'
+    };
+
+    // File extension offered by "Download" for a fence's language tag
+    const EXTENSIONS = {
+        javascript: 'js', js: 'js', jsx: 'jsx', mjs: 'mjs', typescript: 'ts', ts: 'ts', tsx: 'tsx', node: 'js',
+        python: 'py', py: 'py', python3: 'py',
+        csharp: 'cs', cs: 'cs', 'c#': 'cs',
+        java: 'java', kotlin: 'kt', kt: 'kt', scala: 'scala', swift: 'swift', php: 'php',
+        c: 'c', h: 'h', cpp: 'cpp', 'c++': 'cpp', hpp: 'hpp', cc: 'cc',
+        go: 'go', golang: 'go', rust: 'rs', rs: 'rs',
+        bash: 'sh', sh: 'sh', shell: 'sh', zsh: 'zsh', powershell: 'ps1', ps1: 'ps1', pwsh: 'ps1', ps: 'ps1',
+        sql: 'sql', mysql: 'sql', postgresql: 'sql', tsql: 'sql',
+        json: 'json', jsonc: 'json', yaml: 'yml', yml: 'yml', toml: 'toml', ini: 'ini',
+        html: 'html', xml: 'xml', svg: 'svg', xaml: 'xaml', css: 'css', scss: 'scss', less: 'less',
+        markdown: 'md', md: 'md', csv: 'csv', dockerfile: 'Dockerfile', makefile: 'Makefile'
+    };
+
+    function resolveLanguage(lang) {
+        const key = (lang || '').toLowerCase();
+        if (LANGUAGES[key]) return LANGUAGES[key];
+        return LANGUAGES[ALIASES[key]] || null;
+    }
+
+    function fileNameFor(lang) {
+        const ext = EXTENSIONS[(lang || '').toLowerCase()] || 'txt';
+        // Dockerfile/Makefile are whole file names rather than extensions
+        return /^[A-Z]/.test(ext) ? ext : `snippet.${ext}`;
+    }
+
+    // Splits code into [type, text] tokens; type is null for plain text
+    function tokenize(code, language) {
+        const tokens = [];
+        let plain = '';
+        let pos = 0;
+        const flush = () => {
+            if (plain) tokens.push([null, plain]);
+            plain = '';
+        };
+
+        outer:
+        while (pos < code.length) {
+            for (const [type, re] of language.rules) {
+                re.lastIndex = pos;
+                const m = re.exec(code);
+                if (m && m[0].length > 0) {
+                    flush();
+                    tokens.push([type, m[0]]);
+                    pos += m[0].length;
+                    continue outer;
+                }
+            }
+            const word = /[A-Za-z_$][\w$]*/y;
+            word.lastIndex = pos;
+            const m = word.exec(code);
+            if (m) {
+                const w = language.ignoreCase ? m[0].toLowerCase() : m[0];
+                if (language.keywords.has(w)) {
+                    flush();
+                    tokens.push(['keyword', m[0]]);
+                } else if (C_FAMILY_LITERALS.has(m[0])) {
+                    flush();
+                    tokens.push(['literal', m[0]]);
+                } else if (code[pos + m[0].length] === '(') {
+                    flush();
+                    tokens.push(['function', m[0]]);
+                } else {
+                    plain += m[0];
+                }
+                pos += m[0].length;
+                continue;
+            }
+            plain += code[pos];
+            pos++;
+        }
+        flush();
+        return tokens;
+    }
+
+    // Escaped, highlighted HTML for a block; with line numbers every line is wrapped in its own span,
+    // so multi-line tokens are closed and reopened at line breaks
+    function highlight(code, lang, withLineNumbers) {
+        const language = resolveLanguage(lang);
+        const tokens = language ? tokenize(code, language) : [[null, code]];
+        const lines = [[]];
+        for (const [type, text] of tokens) {
+            text.split('\n').forEach((part, i) => {
+                if (i > 0) lines.push([]);
+                if (!part) return;
+                const escaped = markdown.escapeHtml(part);
+                lines[lines.length - 1].push(type ? `<span class="tok-${type}">${escaped}</span>` : escaped);
+            });
+        }
+        if (!withLineNumbers) return lines.map(l => l.join('')).join('\n');
+        return lines.map(l => `<span class="code-line">${l.join('')}</span>`).join('\n');
+    }
+
+    // Full HTML for a fenced block: toolbar (language, Copy, Download) plus the highlighted code
+    function render(code, lang) {
+        const lineCount = code.split('\n').length;
+        const numbered = lineCount > LINE_NUMBER_THRESHOLD;
+        const safeLang = markdown.escapeHtml(lang || '');
+        const cls = lang ? ` class="language-${safeLang}"` : '';
+        return `<div class="code-block">
+            <div class="code-block-header">
+                <span class="code-block-lang">${safeLang || 'text'}</span>
+                <span class="ms-auto d-flex gap-1">
+                    <button type="button" class="btn btn-sm btn-link p-0 px-1" data-code-action="copy" title="Copy to clipboard">📋 Copy</button>
+                    <button type="button" class="btn btn-sm btn-link p-0 px-1" data-code-action="download" data-filename="${markdown.escapeHtml(fileNameFor(lang))}" title="Download as file">💾 Download</button>
+                </span>
+            </div>
+            <pre${numbered ? ' class="line-numbers"' : ''}><code${cls}>${highlight(code, lang, numbered)}</code></pre>
+        </div>`;
+    }
+
+    async function copyText(text) {
+        // The async clipboard API only exists in secure contexts (HTTPS or localhost)
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        try {
+            if (!document.execCommand('copy')) throw new Error('Copy command was rejected');
+        } finally {
+            textarea.remove();
+        }
+    }
+
+    function downloadText(text, fileName, mimeType = 'text/plain;charset=utf-8') {
+        const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function flashButton(button, label) {
+        const original = button.dataset.label || button.textContent;
+        button.dataset.label = original;
+        button.textContent = label;
+        setTimeout(() => { button.textContent = original; }, 1500);
+    }
+
+    // Delegated click handling, so buttons keep working after messages are re-rendered
+    function attach(container) {
+        container.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-code-action]');
+            if (!button || !container.contains(button)) return;
+            const code = button.closest('.code-block').querySelector('code').textContent;
+            if (button.dataset.codeAction === 'copy') {
+                try {
+                    await copyText(code);
+                    flashButton(button, '✓ Copied');
+                } catch (err) {
+                    console.warn('[code] Copy failed:', err);
+                    flashButton(button, '⚠️ Copy failed');
+                }
+            } else if (button.dataset.codeAction === 'download') {
+                downloadText(code, button.dataset.filename || 'snippet.txt');
+            }
+        });
+    }
+
+    return { render, attach, copyText, downloadText };
+})();
@@ -0,0 +1,246 @@
+// knowledge.js - Knowledge page: document collections, uploads (files or whole folders) and test searches
+
+let collections = [];
+let selectedCollectionId = null;
+
+// Also quotes, so the result is safe inside attribute values
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+async function apiError(res) {
+    const err = await res.json().catch(() => ({}));
+    return err.error || `HTTP ${res.status}`;
+}
+
+async function loadEmbeddingModels() {
+    try {
+        const res = await fetch('/api/models/loaded');
+        if (!res.ok) return;
+        const models = await res.json();
+        const select = document.getElementById('new-collection-embedding');
+        models.filter(m => m.provider === 'foundry').forEach(m => {
+            const opt = document.createElement('option');
+            opt.value = m.id;
+            opt.textContent = m.name || m.id;
+            select.appendChild(opt);
+        });
+    } catch (err) {
+        console.warn('Failed to load models:', err);
+    }
+}
+
+async function loadCollections() {
+    const list = document.getElementById('collection-list');
+    try {
+        const res = await fetch('/api/knowledge');
+        collections = await res.json();
+    } catch (err) {
+        list.innerHTML = `<div class="text-center text-danger small py-3">Error: ${escapeHtml(err.message)}</div>`;
+        return;
+    }
+    if (collections.length === 0) {
+        list.innerHTML = '<div class="text-center text-muted small py-3">No collections yet</div>';
+    } else {
+        list.innerHTML = collections.map(c => `
+            <button type="button" class="list-group-item list-group-item-action ${c.id === selectedCollectionId ? 'active' : ''}" data-collection-id="${escapeHtml(c.id)}">
+                <div class="fw-bold text-truncate">${escapeHtml(c.name)}</div>
+                <div class="small opacity-75">${c.documentCount} docs · ${c.chunkCount} chunks${c.embeddingModel ? ' · 🧭 embeddings' : ''}</div>
+            </button>`).join('');
+    }
+    if (selectedCollectionId && !collections.some(c => c.id === selectedCollectionId)) selectedCollectionId = null;
+    if (!selectedCollectionId && collections.length > 0) selectedCollectionId = collections[0].id;
+    await loadCollectionDetail();
+}
+
+async function selectCollection(id) {
+    selectedCollectionId = id;
+    document.getElementById('search-results').innerHTML = '';
+    await loadCollections();
+}
+
+async function loadCollectionDetail() {
+    const detail = document.getElementById('collection-detail');
+    const empty = document.getElementById('collection-empty');
+    if (!selectedCollectionId) {
+        detail.classList.add('d-none');
+        empty.classList.remove('d-none');
+        return;
+    }
+    const res = await fetch(`/api/knowledge/${encodeURIComponent(selectedCollectionId)}`);
+    if (!res.ok) {
+        empty.textContent = `Error loading collection: ${await apiError(res)}`;
+        return;
+    }
+    const data = await res.json();
+    detail.classList.remove('d-none');
+    empty.classList.add('d-none');
+
+    const c = data.collection;
+    document.getElementById('collection-name').textContent = c.name;
+    document.getElementById('collection-meta').textContent =
+        `${c.documentCount} documents · ${c.chunkCount} chunks · ${c.embeddingModel ? `embeddings: ${c.embeddingModel}` : 'keyword search only'}`;
+
+    const body = document.getElementById('document-list');
+    if (data.documents.length === 0) {
+        body.innerHTML = '<tr><td colspan="7" class="text-center text-muted py-3">No documents yet -- use 📄 Add Files or 📁 Add Folder.</td></tr>';
+        return;
+    }
+    body.innerHTML = data.documents.map(d => `
+        <tr>
+            <td class="ps-3 text-break">${escapeHtml(d.fileName)}</td>
+            <td>${escapeHtml(d.format)}</td>
+            <td class="text-end">${d.characters.toLocaleString()}</td>
+            <td class="text-end">${d.chunkCount}</td>
+            <td class="text-center">${d.embedded ? '✅' : '--'}</td>
+            <td class="text-muted">${new Date(d.addedAt).toLocaleString()}</td>
+            <td class="pe-3 text-end">
+                <button class="btn btn-sm btn-link text-danger p-0" title="Remove from the collection" data-document-id="${escapeHtml(d.id)}" data-file-name="${escapeHtml(d.fileName)}">🗑️</button>
+            </td>
+        </tr>`).join('');
+}
+
+async function createCollection() {
+    const nameInput = document.getElementById('new-collection-name');
+    const name = nameInput.value.trim();
+    if (!name) {
+        alert('Enter a name for the collection.');
+        return;
+    }
+    try {
+        const res = await fetch('/api/knowledge', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, embeddingModel: document.getElementById('new-collection-embedding').value || null })
+        });
+        if (!res.ok) {
+            alert(await apiError(res));
+            return;
+        }
+        const created = await res.json();
+        nameInput.value = '';
+        bootstrap.Collapse.getOrCreateInstance(document.getElementById('new-collection-form')).hide();
+        await selectCollection(created.id);
+    } catch (err) {
+        alert(`Error: ${err.message}`);
+    }
+}
+
+async function deleteCollection() {
+    const c = collections.find(x => x.id === selectedCollectionId);
+    if (!c || !confirm(`Delete the collection "${c.name}" and all of its ${c.documentCount} documents?`)) return;
+    const res = await fetch(`/api/knowledge/${encodeURIComponent(c.id)}`, { method: 'DELETE' });
+    if (!res.ok) alert(await apiError(res));
+    selectedCollectionId = null;
+    await loadCollections();
+}
+
+async function deleteDocument(id, fileName) {
+    if (!confirm(`Remove "${fileName}" from the collection?`)) return;
+    const res = await fetch(`/api/knowledge/${encodeURIComponent(selectedCollectionId)}/documents/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (!res.ok) alert(await apiError(res));
+    await loadCollections();
+}
+
+// Uploads one file at a time so each gets its own progress line and a bad file doesn't fail the batch
+async function uploadFiles(fileList) {
+    const files = Array.from(fileList).filter(f => !f.name.startsWith('.'));
+    if (files.length === 0) return;
+    const status = document.getElementById('upload-status');
+    status.classList.remove('d-none');
+    const skipped = [];
+    const warnings = new Set();
+    let added = 0;
+
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        const name = file.webkitRelativePath || file.name;
+        status.innerHTML = `<span class="spinner-border spinner-border-sm me-1"></span> Indexing ${i + 1}/${files.length}: ${escapeHtml(name)}`;
+        try {
+            const form = new FormData();
+            form.append('file', file, name);
+            const res = await fetch(`/api/knowledge/${encodeURIComponent(selectedCollectionId)}/documents`, { method: 'POST', body: form });
+            if (!res.ok) {
+                skipped.push(`${name}: ${await apiError(res)}`);
+                continue;
+            }
+            const result = await res.json();
+            if (result.warning) warnings.add(result.warning);
+            added++;
+        } catch (err) {
+            skipped.push(`${name}: ${err.message}`);
+        }
+    }
+
+    const details = skipped.concat([...warnings]);
+    status.innerHTML = `✅ Added ${added} of ${files.length} file(s).` +
+        (details.length > 0 ? `<ul class="mb-0 mt-1 text-warning">${details.map(s => `<li>${escapeHtml(s)}</li>`).join('')}</ul>` : '');
+    await loadCollections();
+}
+
+async function searchCollection() {
+    const query = document.getElementById('knowledge-query').value.trim();
+    const results = document.getElementById('search-results');
+    if (!query || !selectedCollectionId) return;
+    results.innerHTML = '<span class="text-muted">Searching...</span>';
+    try {
+        const res = await fetch(`/api/knowledge/${encodeURIComponent(selectedCollectionId)}/search`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, topK: 5 })
+        });
+        if (!res.ok) {
+            results.innerHTML = `<span class="text-danger">${escapeHtml(await apiError(res))}</span>`;
+            return;
+        }
+        const data = await res.json();
+        if (data.results.length === 0) {
+            results.innerHTML = '<span class="text-muted">No matching chunks.</span>';
+            return;
+        }
+        results.innerHTML = `<div class="text-muted mb-1">${data.semantic ? 'Keyword + embedding search' : 'Keyword search'}</div>` +
+            data.results.map((r, i) => `
+                <div class="card mb-2">
+                    <div class="card-body py-2 px-3">
+                        <div class="d-flex justify-content-between">
+                            <strong>[${i + 1}] ${escapeHtml(r.fileName)}${r.page ? `, page ${r.page}` : ''}${r.section ? ` -- ${escapeHtml(r.section)}` : ''}</strong>
+                            <span class="text-muted">score ${r.score}</span>
+                        </div>
+                        <div class="mt-1" style="white-space: pre-wrap;">${escapeHtml(r.text)}</div>
+                    </div>
+                </div>`).join('');
+    } catch (err) {
+        results.innerHTML = `<span class="text-danger">Error: ${escapeHtml(err.message)}</span>`;
+    }
+}
+
+document.getElementById('btn-create-collection').addEventListener('click', createCollection);
+document.getElementById('btn-delete-collection').addEventListener('click', deleteCollection);
+document.getElementById('btn-add-files').addEventListener('click', () => document.getElementById('knowledge-files').click());
+document.getElementById('btn-add-folder').addEventListener('click', () => document.getElementById('knowledge-folder').click());
+['knowledge-files', 'knowledge-folder'].forEach(id => {
+    const input = document.getElementById(id);
+    input.addEventListener('change', async () => {
+        const files = Array.from(input.files);
+        input.value = ''; // allow picking the same files again
+        await uploadFiles(files);
+    });
+});
+document.getElementById('btn-knowledge-search').addEventListener('click', searchCollection);
+document.getElementById('knowledge-query').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') searchCollection();
+});
+
+document.getElementById('collection-list').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-collection-id]');
+    if (button) selectCollection(button.dataset.collectionId);
+});
+document.getElementById('document-list').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-document-id]');
+    if (button) deleteDocument(button.dataset.documentId, button.dataset.fileName);
+});
+
+loadEmbeddingModels();
+loadCollections();
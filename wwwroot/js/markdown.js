@@ -0,0 +1,262 @@
+// markdown.js - Safe Markdown renderer for chat messages
+// Raw HTML in the source is always escaped; the only tags that reach the page are the ones
+// generated here, and links are limited to http(s), mailto and same-site URLs.
+const markdown = (() => {
+    const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+    const HEADING_RE = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+    const HR_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    const QUOTE_RE = /^ {0,3}>\s?(.*)$/;
+    const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+    const TABLE_SEP_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+    const TASK_RE = /^\[([ xX])\]\s+/;
+
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Only allow link targets that cannot run script
+    function safeUrl(url) {
+        const trimmed = url.trim();
+        if (/^(https?:|mailto:)/i.test(trimmed)) return trimmed;
+        if (/^[/#?]/.test(trimmed) && !trimmed.startsWith('//')) return trimmed;
+        return null;
+    }
+
+    function link(href, innerHtml) {
+        return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${innerHtml}</a>`;
+    }
+
+    // ---------------- Inline ----------------
+
+    function renderInline(text, allowLinks = true, tokens = []) {
+        // Code spans, links and URLs are rendered first and parked behind placeholders so
+        // emphasis rules never touch their contents.
+        const park = html => `\u0000${tokens.push(html) - 1}\u0000`;
+        let s = text;
+
+        s = s.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => park(`<code>${escapeHtml(code.trim() || code)}</code>`));
+
+        if (allowLinks) {
+            // [text](url "title") and ![alt](url) -- images are shown as links, never loaded
+            s = s.replace(/!?\[([^\]\n]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) => {
+                const href = safeUrl(url);
+                const inner = renderInline(label || url, false, tokens);
+                return href ? park(link(href, inner)) : park(inner);
+            });
+            s = s.replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (_, url) => park(link(url, escapeHtml(url))));
+            s = s.replace(/\bhttps?:\/\/[^\s<>()\u0000]*[^\s<>().,;:!?'"\u0000]/gi, url => park(link(url, escapeHtml(url))));
+        }
+
+        s = escapeHtml(s)
+            .replace(/\\([\\`*_{}\[\]()#+\-.!~|])/g, (_, ch) => park(ch))
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(?<!\w)__(?=\S)([\s\S]*?\S)__(?!\w)/g, '<strong>$1</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/(?<!\*)\*(?=[^\s*])([^*\n]*?[^\s*])\*(?!\*)/g, '<em>$1</em>')
+            .replace(/(?<!\w)_(?=[^\s_])([^_\n]*?[^\s_])_(?!\w)/g, '<em>$1</em>');
+
+        return s.replace(/\u0000(\d+)\u0000/g, (_, i) => tokens[+i]);
+    }
+
+    // ---------------- Blocks ----------------
+
+    function indentOf(line) {
+        return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    }
+
+    function splitRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.substring(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.substring(0, row.length - 1);
+        return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    function isTableStart(lines, i) {
+        return lines[i].includes('|') && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1]) && lines[i + 1].includes('-');
+    }
+
+    function startsBlock(lines, i) {
+        const line = lines[i];
+        return FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) ||
+            QUOTE_RE.test(line) || LIST_RE.test(line) || isTableStart(lines, i);
+    }
+
+    function renderTable(lines, i) {
+        const header = splitRow(lines[i]);
+        const aligns = splitRow(lines[i + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+        });
+        const cell = (tag, text, col) => {
+            const align = aligns[col] ? ` style="text-align: ${aligns[col]}"` : '';
+            return `<${tag}${align}>${renderInline(text)}</${tag}>`;
+        };
+
+        let j = i + 2;
+        const rows = [];
+        while (j < lines.length && lines[j].trim() && lines[j].includes('|')) {
+            rows.push(splitRow(lines[j]));
+            j++;
+        }
+
+        const head = `<tr>${header.map((h, c) => cell('th', h, c)).join('')}</tr>`;
+        const body = rows.map(r => `<tr>${header.map((_, c) => cell('td', r[c] || '', c)).join('')}</tr>`).join('');
+        return { html: `<div class="table-responsive"><table class="table table-sm table-bordered"><thead>${head}</thead><tbody>${body}</tbody></table></div>`, next: j };
+    }
+
+    function renderList(lines, i) {
+        const first = lines[i].match(LIST_RE);
+        const baseIndent = indentOf(first[1]);
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let current = null;
+        let j = i;
+
+        while (j < lines.length) {
+            const line = lines[j];
+            const m = line.match(LIST_RE);
+            if (m && indentOf(m[1]) === baseIndent && /\d/.test(m[2]) === ordered) {
+                current = { lines: [m[3]], contentIndent: indentOf(m[1]) + m[2].length + 1 };
+                items.push(current);
+                j++;
+                continue;
+            }
+            if (!line.trim()) {
+                // A blank line continues the list only if the next line is indented into it or is another item
+                const next = lines[j + 1];
+                if (next !== undefined && next.trim() && (indentOf(next) > baseIndent || (LIST_RE.test(next) && indentOf(next) === baseIndent))) {
+                    current.lines.push('');
+                    j++;
+                    continue;
+                }
+                break;
+            }
+            if (indentOf(line) > baseIndent) {
+                current.lines.push(line.replace(/^\s+/, ws => ' '.repeat(Math.max(0, ws.replace(/\t/g, '    ').length - current.contentIndent))));
+                j++;
+                continue;
+            }
+            // Lazy continuation of the item's paragraph
+            if (!startsBlock(lines, j)) {
+                current.lines.push(line);
+                j++;
+                continue;
+            }
+            break;
+        }
+
+        const start = ordered ? parseInt(first[2]) : 1;
+        const tag = ordered ? 'ol' : 'ul';
+        const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+        const isTaskList = items.some(it => TASK_RE.test(it.lines[0]));
+        const body = items.map(it => {
+            const task = it.lines[0].match(TASK_RE);
+            if (task) {
+                it.lines[0] = it.lines[0].replace(TASK_RE, '');
+                const checked = task[1] !== ' ' ? ' checked' : '';
+                return `<li class="task-list-item"><input type="checkbox" class="form-check-input me-1" disabled${checked}>${renderBlocks(it.lines, true)}</li>`;
+            }
+            return `<li>${renderBlocks(it.lines, true)}</li>`;
+        }).join('');
+        return { html: `<${tag}${startAttr}${isTaskList ? ' class="task-list"' : ''}>${body}</${tag}>`, next: j };
+    }
+
+    function renderBlocks(lines, tight = false) {
+        const out = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(FENCE_RE);
+            if (fence) {
+                const marker = fence[1];
+                const lang = (fence[2] || '').replace(/[^\w+#.-]/g, '');
+                const code = [];
+                i++;
+                // An unclosed fence (still streaming) runs to the end of the message
+                while (i < lines.length && !new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`).test(lines[i])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                if (typeof codeBlocks !== 'undefined') {
+                    out.push(codeBlocks.render(code.join('\n'), lang));
+                } else {
+                    const cls = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+                    out.push(`<pre><code${cls}>${escapeHtml(code.join('\n'))}</code></pre>`);
+                }
+                continue;
+            }
+
+            const heading = line.match(HEADING_RE);
+            if (heading) {
+                const level = heading[1].length;
+                out.push(`<h${level} class="md-heading">${renderInline(heading[2] || '')}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (HR_RE.test(line)) {
+                out.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (QUOTE_RE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && lines[i].trim() && (QUOTE_RE.test(lines[i]) || !startsBlock(lines, i))) {
+                    const m = lines[i].match(QUOTE_RE);
+                    quoted.push(m ? m[1] : lines[i]);
+                    i++;
+                }
+                out.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+                continue;
+            }
+
+            if (LIST_RE.test(line)) {
+                const list = renderList(lines, i);
+                out.push(list.html);
+                i = list.next;
+                continue;
+            }
+
+            if (isTableStart(lines, i)) {
+                const table = renderTable(lines, i);
+                out.push(table.html);
+                i = table.next;
+                continue;
+            }
+
+            const para = [];
+            while (i < lines.length && lines[i].trim() && (para.length === 0 || !startsBlock(lines, i))) {
+                para.push(lines[i].trim());
+                i++;
+            }
+            const html = renderInline(para.join('\n')).replace(/\n/g, '<br>');
+            // List items keep their first paragraph unwrapped so bullets and checkboxes stay inline
+            out.push(tight && out.length === 0 ? html : `<p>${html}</p>`);
+        }
+
+        return out.join('');
+    }
+
+    function render(text) {
+        if (!text) return '';
+        // NUL is reserved for the inline placeholders
+        return renderBlocks(String(text).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n'));
+    }
+
+    return { render, escapeHtml };
+})();
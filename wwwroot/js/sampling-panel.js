@@ -0,0 +1,248 @@
+// sampling-panel.js - "Advanced" sampling parameters: temperature, top_p, penalties, seed and stop sequences,
+// plus named presets (stored server-side) that can be pinned to a model id.
+// Values left at their defaults are not sent, so the model's own defaults apply.
+const samplingPanel = (() => {
+    const STORAGE_KEY = 'chat-sampling';
+    const MAX_STOP_SEQUENCES = 4; // OpenAI-compatible servers accept at most four
+    const DEFAULTS = { temperature: 0.7, top_p: 1, presence_penalty: 0, frequency_penalty: 0, seed: null, stop: [] };
+
+    const sliders = {
+        temperature: document.getElementById('param-temperature'),
+        top_p: document.getElementById('param-top-p'),
+        presence_penalty: document.getElementById('param-presence-penalty'),
+        frequency_penalty: document.getElementById('param-frequency-penalty')
+    };
+    const seedInput = document.getElementById('param-seed');
+    const stopInput = document.getElementById('param-stop');
+    const btnAdvanced = document.getElementById('btn-advanced');
+    const btnReset = document.getElementById('btn-reset-sampling');
+    const presetSelect = document.getElementById('preset-select');
+    const btnSavePreset = document.getElementById('btn-save-preset');
+    const btnDeletePreset = document.getElementById('btn-delete-preset');
+    const pinCheckbox = document.getElementById('preset-model-default');
+
+    let presets = [];
+    let modelDefaults = {}; // modelId -> presetId
+    let currentModel = '';
+
+    // Stop sequences are edited one per line, with \n and \t standing for newline and tab
+    function parseStop(text) {
+        return text.split('\n')
+            .map(line => line.replace(/\\n/g, '\n').replace(/\\t/g, '\t'))
+            .filter(s => s.length > 0)
+            .slice(0, MAX_STOP_SEQUENCES);
+    }
+
+    function formatStop(list) {
+        return list.map(s => s.replace(/\n/g, '\\n').replace(/\t/g, '\\t')).join('\n');
+    }
+
+    function getValues() {
+        const seed = parseInt(seedInput.value);
+        return {
+            temperature: parseFloat(sliders.temperature.value),
+            top_p: parseFloat(sliders.top_p.value),
+            presence_penalty: parseFloat(sliders.presence_penalty.value),
+            frequency_penalty: parseFloat(sliders.frequency_penalty.value),
+            seed: Number.isNaN(seed) ? null : seed,
+            stop: parseStop(stopInput.value)
+        };
+    }
+
+    // Fills unset (null / missing) values from DEFAULTS
+    function withDefaults(values) {
+        const v = { ...DEFAULTS };
+        Object.keys(DEFAULTS).forEach(key => {
+            if (values && values[key] !== null && values[key] !== undefined) v[key] = values[key];
+        });
+        return v;
+    }
+
+    // Request parameters for /api/chat: temperature always, everything else only when changed
+    function parametersOf(values) {
+        const params = { temperature: values.temperature };
+        ['top_p', 'presence_penalty', 'frequency_penalty'].forEach(key => {
+            if (values[key] !== DEFAULTS[key]) params[key] = values[key];
+        });
+        if (values.seed !== null) params.seed = values.seed;
+        if (values.stop.length > 0) params.stop = values.stop;
+        return params;
+    }
+
+    function getParameters() {
+        return parametersOf(getValues());
+    }
+
+    function updateLabels() {
+        Object.values(sliders).forEach(slider => {
+            document.getElementById(`${slider.id}-value`).textContent = slider.value;
+        });
+        const values = getValues();
+        const changed = Object.keys(DEFAULTS).filter(key => JSON.stringify(values[key]) !== JSON.stringify(DEFAULTS[key])).length;
+        btnAdvanced.textContent = changed > 0 ? `⚙️ Advanced (${changed})` : '⚙️ Advanced';
+        btnAdvanced.classList.toggle('btn-outline-info', changed > 0);
+        btnAdvanced.classList.toggle('btn-outline-secondary', changed === 0);
+    }
+
+    function save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(getValues()));
+    }
+
+    // Sets every field; keys missing from `values` go back to their defaults
+    function apply(values) {
+        const v = withDefaults(values);
+        Object.entries(sliders).forEach(([key, slider]) => {
+            const n = parseFloat(v[key]);
+            slider.value = Number.isNaN(n) ? DEFAULTS[key] : n;
+        });
+        seedInput.value = v.seed === null ? '' : v.seed;
+        stopInput.value = formatStop(Array.isArray(v.stop) ? v.stop : (v.stop ? [String(v.stop)] : []));
+        updateLabels();
+        save();
+    }
+
+    function reset() {
+        apply(DEFAULTS);
+    }
+
+    // ---------------- Presets ----------------
+
+    function selectedPreset() {
+        return presets.find(p => p.id === presetSelect.value) || null;
+    }
+
+    function renderPresetOptions(selectedId = presetSelect.value) {
+        presetSelect.innerHTML = '<option value="">Custom</option>';
+        presets.forEach(p => {
+            const opt = document.createElement('option');
+            opt.value = p.id;
+            opt.textContent = modelDefaults[currentModel] === p.id ? `${p.name} 📌` : p.name;
+            presetSelect.appendChild(opt);
+        });
+        presetSelect.value = presets.some(p => p.id === selectedId) ? selectedId : '';
+        updatePresetControls();
+    }
+
+    function updatePresetControls() {
+        const id = presetSelect.value;
+        btnDeletePreset.disabled = !id;
+        pinCheckbox.disabled = !id || !currentModel;
+        pinCheckbox.checked = !!id && modelDefaults[currentModel] === id;
+    }
+
+    async function loadPresets() {
+        try {
+            const res = await fetch('/api/presets');
+            const data = await res.json();
+            presets = data.presets || [];
+            modelDefaults = data.modelDefaults || {};
+        } catch (err) {
+            console.warn('Failed to load parameter presets:', err);
+        }
+        renderPresetOptions();
+    }
+
+    // Called whenever the chat's model changes: applies the preset pinned to that model, if any
+    function setModel(modelId) {
+        currentModel = modelId || '';
+        const preset = presets.find(p => p.id === modelDefaults[currentModel]);
+        if (preset) apply(preset);
+        renderPresetOptions(preset ? preset.id : presetSelect.value);
+    }
+
+    async function savePreset() {
+        const current = selectedPreset();
+        const name = prompt('Preset name:', current ? current.name : '');
+        if (name === null || !name.trim()) return;
+        const existing = presets.find(p => p.name.toLowerCase() === name.trim().toLowerCase());
+        if (existing && !confirm(`Replace preset "${existing.name}" with the current values?`)) return;
+
+        try {
+            const res = await fetch(existing ? `/api/presets/${encodeURIComponent(existing.id)}` : '/api/presets', {
+                method: existing ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim(), ...getValues() })
+            });
+            if (!res.ok) {
+                const err = await res.json().catch(() => ({}));
+                alert(err.error || 'Failed to save preset.');
+                return;
+            }
+            const saved = await res.json();
+            await loadPresets();
+            renderPresetOptions(saved.id);
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+    }
+
+    async function deletePreset() {
+        const preset = selectedPreset();
+        if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return;
+        try {
+            const res = await fetch(`/api/presets/${encodeURIComponent(preset.id)}`, { method: 'DELETE' });
+            if (!res.ok) {
+                const err = await res.json().catch(() => ({}));
+                alert(err.error || 'Failed to delete preset.');
+                return;
+            }
+            await loadPresets();
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+    }
+
+    async function togglePin() {
+        const preset = selectedPreset();
+        if (!preset || !currentModel) return;
+        try {
+            const res = await fetch('/api/presets/model-default', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ modelId: currentModel, presetId: pinCheckbox.checked ? preset.id : null })
+            });
+            if (!res.ok) {
+                const err = await res.json().catch(() => ({}));
+                alert(err.error || 'Failed to update the model default.');
+            }
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+        await loadPresets();
+    }
+
+    [...Object.values(sliders), seedInput, stopInput].forEach(input => {
+        input.addEventListener('input', () => {
+            updateLabels();
+            save();
+            // Hand-edited values no longer match the selected preset
+            const preset = selectedPreset();
+            if (preset && JSON.stringify(parametersOf(withDefaults(preset))) !== JSON.stringify(getParameters())) {
+                presetSelect.value = '';
+                updatePresetControls();
+            }
+        });
+    });
+    btnReset.addEventListener('click', () => {
+        reset();
+        presetSelect.value = '';
+        updatePresetControls();
+    });
+    presetSelect.addEventListener('change', () => {
+        const preset = selectedPreset();
+        if (preset) apply(preset);
+        updatePresetControls();
+    });
+    btnSavePreset.addEventListener('click', savePreset);
+    btnDeletePreset.addEventListener('click', deletePreset);
+    pinCheckbox.addEventListener('change', togglePin);
+
+    // Restore the last used values
+    try {
+        apply(JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null'));
+    } catch {
+        reset();
+    }
+
+    return { getParameters, getValues, apply, reset, loadPresets, setModel, DEFAULTS };
+})();
@@ -1,4 +1,4 @@
-// settings.js - System prompt management + cache directory
+// settings.js - System prompt and prompt template management + cache directory
 const promptsList = document.getElementById('prompts-list');
 const btnAddPrompt = document.getElementById('btn-add-prompt');
 const btnSavePrompt = document.getElementById('btn-save-prompt');
@@ -6,6 +6,14 @@ const promptName = document.getElementById('prompt-name');
 const promptContent = document.getElementById('prompt-content');
 const promptModalTitle = document.getElementById('prompt-modal-title');
 
+// Prompt template elements
+const templatesList = document.getElementById('templates-list');
+const btnAddTemplate = document.getElementById('btn-add-template');
+const btnSaveTemplate = document.getElementById('btn-save-template');
+const templateName = document.getElementById('template-name');
+const templateContent = document.getElementById('template-content');
+const templateModalTitle = document.getElementById('template-modal-title');
+
 // Cache directory elements
 const cacheDirLoading = document.getElementById('cache-dir-loading');
 const cacheDirContent = document.getElementById('cache-dir-content');
@@ -15,6 +23,8 @@ const cacheDirStatus = document.getElementById('cache-dir-status');
 
 let editingId = null;
 let promptModal = null;
+let editingTemplateId = null;
+let templateModal = null;
 let originalCachePath = '';
 
 // Foundry CLI info elements
@@ -25,9 +35,12 @@ const foundryInfoPath = document.getElementById('foundry-info-path');
 
 document.addEventListener('DOMContentLoaded', () => {
     promptModal = new bootstrap.Modal(document.getElementById('prompt-modal'));
+    templateModal = new bootstrap.Modal(document.getElementById('template-modal'));
     loadPrompts();
+    loadTemplates();
     loadCacheDirectory();
     loadFoundryInfo();
+    loadThinkingMarkers();
 });
 
 // ============================================================
@@ -116,6 +129,40 @@ btnSaveCacheDir.addEventListener('click', async () => {
     }
 });
 
+// ============================================================
+// Thinking Markers (read by chat.js from localStorage)
+// ============================================================
+
+const THINKING_MARKERS_KEY = 'thinking-markers';
+const thinkingMarkersInput = document.getElementById('thinking-markers');
+const markersStatus = document.getElementById('markers-status');
+
+function loadThinkingMarkers() {
+    try {
+        const markers = JSON.parse(localStorage.getItem(THINKING_MARKERS_KEY) || '[]');
+        thinkingMarkersInput.value = markers.map(m => `${m.start} ${m.end}`).join('\n');
+    } catch {
+        thinkingMarkersInput.value = '';
+    }
+}
+
+document.getElementById('btn-save-markers').addEventListener('click', () => {
+    const lines = thinkingMarkersInput.value.split('\n').map(l => l.trim()).filter(Boolean);
+    const invalid = lines.filter(l => l.split(/\s+/).length !== 2);
+    if (invalid.length > 0) {
+        markersStatus.className = 'small text-danger';
+        markersStatus.textContent = `Each line needs a start and an end marker separated by a space: ${invalid.join(', ')}`;
+        return;
+    }
+    const markers = lines.map(l => {
+        const [start, end] = l.split(/\s+/);
+        return { start, end };
+    });
+    localStorage.setItem(THINKING_MARKERS_KEY, JSON.stringify(markers));
+    markersStatus.className = 'small text-success';
+    markersStatus.textContent = `✅ Saved ${markers.length} marker pair(s). Reload the Chat page to apply them.`;
+});
+
 async function loadPrompts() {
     try {
         const res = await fetch('/api/system-prompts');
@@ -150,10 +197,11 @@ function renderPrompts(prompts) {
     `).join('');
 }
 
+// Also quotes, so the result is safe inside attribute values
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Add new prompt
@@ -235,6 +283,121 @@ async function deletePrompt(id, name) {
     }
 }
 
+// ============================================================
+// Prompt Templates ({{variable}} placeholders filled in on the Chat page)
+// ============================================================
+
+async function loadTemplates() {
+    try {
+        const res = await fetch('/api/prompt-templates');
+        const templates = await res.json();
+        renderTemplates(templates);
+    } catch (err) {
+        templatesList.innerHTML = `<div class="text-center text-danger py-4">Error loading templates: ${escapeHtml(err.message)}</div>`;
+    }
+}
+
+// Placeholder names in order of first appearance (same pattern as chat-templates.js)
+function templateVariables(content) {
+    const names = [...content.matchAll(/\{\{\s*([\w .-]+?)\s*\}\}/g)].map(m => m[1]);
+    return names.filter((name, i) => names.findIndex(n => n.toLowerCase() === name.toLowerCase()) === i);
+}
+
+function renderTemplates(templates) {
+    if (templates.length === 0) {
+        templatesList.innerHTML = '<div class="text-center text-muted py-4">No prompt templates yet.</div>';
+        return;
+    }
+
+    templatesList.innerHTML = templates.map(t => `
+        <div class="list-group-item d-flex align-items-start gap-3">
+            <div class="flex-grow-1">
+                <div class="d-flex align-items-center gap-2 mb-1 flex-wrap">
+                    <strong>${escapeHtml(t.name)}</strong>
+                    ${templateVariables(t.content).map(v => `<span class="badge bg-info text-dark font-monospace">${escapeHtml(v)}</span>`).join('')}
+                </div>
+                <div class="text-muted small" style="white-space: pre-wrap; max-height: 80px; overflow: hidden;">${escapeHtml(t.content)}</div>
+            </div>
+            <div class="d-flex flex-column gap-1" style="min-width: 90px;">
+                <button class="btn btn-sm btn-outline-light" data-template-action="edit" data-template-id="${escapeHtml(t.id)}">✏️ Edit</button>
+                <button class="btn btn-sm btn-outline-danger" data-template-action="delete" data-template-id="${escapeHtml(t.id)}" data-template-name="${escapeHtml(t.name)}">🗑️ Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+templatesList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-template-action]');
+    if (!button) return;
+    if (button.dataset.templateAction === 'edit') editTemplate(button.dataset.templateId);
+    else deleteTemplate(button.dataset.templateId, button.dataset.templateName);
+});
+
+btnAddTemplate.addEventListener('click', () => {
+    editingTemplateId = null;
+    templateModalTitle.textContent = 'New Prompt Template';
+    templateName.value = '';
+    templateContent.value = '';
+    templateModal.show();
+});
+
+async function editTemplate(id) {
+    try {
+        const res = await fetch(`/api/prompt-templates/${id}`);
+        if (!res.ok) return;
+        const template = await res.json();
+        editingTemplateId = id;
+        templateModalTitle.textContent = 'Edit Prompt Template';
+        templateName.value = template.name;
+        templateContent.value = template.content;
+        templateModal.show();
+    } catch (err) {
+        alert(`Error: ${err.message}`);
+    }
+}
+
+btnSaveTemplate.addEventListener('click', async () => {
+    const name = templateName.value.trim();
+    const content = templateContent.value.trim();
+    if (!name || !content) {
+        alert('Name and message are required.');
+        return;
+    }
+
+    try {
+        const url = editingTemplateId ? `/api/prompt-templates/${editingTemplateId}` : '/api/prompt-templates';
+        const method = editingTemplateId ? 'PUT' : 'POST';
+        const res = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, content })
+        });
+        if (res.ok) {
+            templateModal.hide();
+            await loadTemplates();
+        } else {
+            const err = await res.json();
+            alert(err.error || 'Failed to save template.');
+        }
+    } catch (err) {
+        alert(`Error: ${err.message}`);
+    }
+});
+
+async function deleteTemplate(id, name) {
+    if (!confirm(`Delete prompt template "${name}"?`)) return;
+    try {
+        const res = await fetch(`/api/prompt-templates/${id}`, { method: 'DELETE' });
+        if (res.ok) await loadTemplates();
+        else {
+            const err = await res.json();
+            alert(err.error || 'Failed to delete template.');
+        }
+    } catch (err) {
+        alert(`Error: ${err.message}`);
+    }
+}
+
 // Make functions globally available for inline onclick
 window.editPrompt = editPrompt;
 window.deletePrompt = deletePrompt;